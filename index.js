@@ -7,8 +7,10 @@ var globby = require('globby');
 var Handlebars = require('handlebars');
 var inflect = require('i')();
 var matter = require('gray-matter');
-var md = require('markdown-it')({ html: true, linkify: true });
+var minimatch = require('minimatch');
+var markdownIt = require('markdown-it');
 var mkdirp = require('mkdirp');
+var pkg = require('./package.json');
 var path = require('path');
 var sortObj = require('sort-object');
 var yaml = require('js-yaml');
@@ -68,10 +70,23 @@ var defaults = {
 	materialPartials: ['src/materials/**/*', 'src/material-blocks/**/*'],
 
 	/**
-	 * JSON or YAML data models that are piped into views
+	 * YAML file with front-matter defaults for every view, material or material block beneath its directory
+	 * @type {String}
+	 */
+	defaultsFile: '_defaults.yml',
+
+	/**
+	 * Markdown notes file of a material, relative to the material's directory;
+	 * `{name}` is the material's file name without extension
+	 * @type {String}
+	 */
+	materialNotes: '{name}.md',
+
+	/**
+	 * JSON, YAML, CSV or JavaScript data models that are piped into views
 	 * @type {(String|Array)}
 	 */
-	data: ['src/data/**/*.{json,yml}'],
+	data: ['src/data/**/*.{json,yml,csv,js}'],
 
 	/**
 	 * Markdown files containing toolkit-wide documentation
@@ -79,6 +94,56 @@ var defaults = {
 	 */
 	docs: ['src/docs/**/*.md'],
 
+	/**
+	 * Write a standalone page for every doc
+	 * @type {Boolean}
+	 */
+	docPages: false,
+
+	/**
+	 * ID (filename) of the layout doc pages are wrapped in
+	 * @type {String}
+	 */
+	docsLayout: 'docs',
+
+	/**
+	 * Directory within `dest` to write doc pages to
+	 * @type {String}
+	 */
+	docsDest: 'docs',
+
+	/**
+	 * markdown-it options for notes, docs and the `{{#markdown}}` helper (including `highlight`),
+	 * plus `plugins`: plugin functions, or `[plugin, ...params]` arrays
+	 * @type {Object}
+	 */
+	markdown: {
+		html: true,
+		linkify: true,
+		plugins: []
+	},
+
+	/**
+	 * Locales to build, keyed by language code; each has `messages` (globs of YAML, JSON or JavaScript
+	 * message files) and optionally `dir` (`ltr` or `rtl`), `dest` and `data`
+	 * @type {Object}
+	 */
+	locales: {},
+
+	/**
+	 * Locale whose messages fill in for keys the other locales are missing; defaults to the first locale
+	 * @type {String}
+	 */
+	defaultLocale: null,
+
+	/**
+	 * Collection types besides materials, material blocks and views, keyed by name; each has `src` (globs)
+	 * and optionally `key` (in the template context), `partials`, `nested`, `sort` and `pages`.
+	 * Settings given for a built-in type override its preset.
+	 * @type {Object}
+	 */
+	collections: {},
+
 	/**
 	 * Keywords used to access items in views
 	 * @type {Object}
@@ -97,6 +162,12 @@ var defaults = {
 	 */
 	dest: 'dist',
 
+	/**
+	 * URL `dest` is served from (e.g. '/toolkit'); used as every page's `baseurl` instead of a relative path
+	 * @type {String}
+	 */
+	publicPath: null,
+
 	/**
 	 * beautifier options
 	 * @type {Object}
@@ -108,84 +179,138 @@ var defaults = {
 	},
 
 	/**
-	 * Function to call when an error occurs
-	 * @type {Function}
-	 */
-	onError: null,
-
-	/**
-	 * Whether or not to log errors to console
+	 * Write a standalone preview page for every material and variant
 	 * @type {Boolean}
 	 */
-	logErrors: false
-};
-
-
-/**
- * Merged defaults and user options
- * @type {Object}
- */
-var options = {};
-
+	previews: false,
 
-/**
- * Assembly data storage
- * @type {Object}
- */
-var assembly = {
 	/**
-	 * Contents of each layout file
-	 * @type {Object}
+	 * ID (filename) of the layout material previews are wrapped in
+	 * @type {String}
 	 */
-	layouts: {},
+	previewLayout: 'preview',
 
 	/**
-	 * Parsed JSON data from each data file
-	 * @type {Object}
+	 * Directory within `dest` to write material previews to
+	 * @type {String}
 	 */
-	data: {},
+	previewDest: 'preview',
 
 	/**
-	 * Meta data for materials, grouped by "collection" (sub-directory); contains name and sub-items
-	 * @type {Object}
+	 * Write a JSON manifest of the assembly; `true` for `dest`/fabricator-manifest.json, or a file path
+	 * @type {(Boolean|String)}
 	 */
-	materials: {},
+	manifest: false,
 
 	/**
-	 * Meta data for materials, grouped by "collection" (sub-directory); contains name and sub-items
-	 * @type {Object}
+	 * Syntax highlighter for material code samples; called with the code and its language
+	 * (`handlebars` or `html`), returns HTML. Code samples are HTML-escaped if not set.
+	 * @type {Function}
 	 */
-	materialBlocks: {},
+	highlight: null,
 
 	/**
-	 * Meta data for materials, grouped by "collection" (sub-directory); contains name and sub-items
-	 * @type {Object}
+	 * Register materials by collection path (e.g. `components/button`) as well as by short name;
+	 * short names that more than one material shares are not registered
+	 * @type {Boolean}
 	 */
-	materialPartials: {},
+	namespaceMaterials: false,
 
 	/**
-	 * Each material's front-matter data
-	 * @type {Object}
+	 * Check every view, material block and material for missing partials, layouts and data before writing
+	 * @type {Boolean}
 	 */
-	materialData: {},
+	strict: false,
 
 	/**
-	 * Each material's front-matter data
-	 * @type {Object}
+	 * Plugins; objects with any of the hooks `afterData`, `afterMaterials`, `afterViews` and
+	 * `afterDocs` (called with the assembly after parsing), `beforeRender` (called with a page's
+	 * context), `beforeWrite` (called with a page's HTML) and `afterBuild` (called with the report)
+	 * @type {Array}
 	 */
-	materialBlocksData: {},
+	plugins: [],
 
 	/**
-	 * Meta data for user-created views (views in views/{subdir})
-	 * @type {Object}
+	 * Function to call when an error occurs
+	 * @type {Function}
 	 */
-	views: {},
+	onError: null,
 
 	/**
-	 * Meta data (name, sub-items) for doc file
-	 * @type {Object}
+	 * Whether or not to log errors to console
+	 * @type {Boolean}
 	 */
-	docs: {}
+	logErrors: false
+};
+
+
+/**
+ * Manifest format version; bumped on breaking changes to the manifest structure
+ * @type {Number}
+ */
+var manifestVersion = 1;
+
+
+/**
+ * Create an empty assembly data storage object
+ * @return {Object}
+ */
+var createAssembly = function () {
+	return {
+		/**
+		 * Contents of each layout file
+		 * @type {Object}
+		 */
+		layouts: {},
+
+		/**
+		 * Parsed JSON data from each data file
+		 * @type {Object}
+		 */
+		data: {},
+
+		/**
+		 * Meta data for materials, grouped by "collection" (sub-directory); contains name and sub-items
+		 * @type {Object}
+		 */
+		materials: {},
+
+		/**
+		 * Meta data for materials, grouped by "collection" (sub-directory); contains name and sub-items
+		 * @type {Object}
+		 */
+		materialBlocks: {},
+
+		/**
+		 * Meta data for materials, grouped by "collection" (sub-directory); contains name and sub-items
+		 * @type {Object}
+		 */
+		materialPartials: {},
+
+		/**
+		 * Each material's front-matter data
+		 * @type {Object}
+		 */
+		materialData: {},
+
+		/**
+		 * Each material's front-matter data
+		 * @type {Object}
+		 */
+		materialBlocksData: {},
+
+		/**
+		 * Meta data for user-created views (views in views/{subdir})
+		 * @type {Object}
+		 */
+		views: {},
+
+		/**
+		 * Meta data (name, sub-items) for doc file
+		 * @type {Object}
+		 */
+		docs: {}
+	};
 };
 
 
@@ -218,66 +343,29 @@ var getMatter = function (file) {
 
 
 /**
- * Handle errors
- * @param  {Object} e Error object
+ * Get the number of lines that precede a file's content (i.e. its front matter)
+ * @param  {Object} fileMatter Result of `getMatter()`
+ * @return {Number}
  */
-var handleError = function (e) {
-
-	// default to exiting process on error
-	var exit = true;
-
-	// construct error object by combining argument with defaults
-	var error = _.assign({}, {
-		name: 'Error',
-		reason: '',
-		message: 'An error occurred',
-	}, e);
-
-	// call onError
-	if (_.isFunction(options.onError)) {
-		options.onError(error);
-		exit = false;
-	}
-
-	// log errors
-	if (options.logErrors) {
-		console.error(chalk.bold.red('Error (fabricator-assemble): ' + e.message + '\n'), e.stack);
-		exit = false;
-	}
-
-	// break the build if desired
-	if (exit) {
-		console.error(chalk.bold.red('Error (fabricator-assemble): ' + e.message + '\n'), e.stack);
-		process.exit(1);
-	}
-
+var getContentOffset = function (fileMatter) {
+	return fileMatter.orig.slice(0, fileMatter.orig.length - fileMatter.content.length).split('\n').length - 1;
 };
 
 
 /**
- * Build the template context by merging context-specific data with assembly data
- * @param  {Object} data
- * @return {Object}
+ * Get the line a front-matter key is defined on
+ * @param  {Object} fileMatter Result of `getMatter()`
+ * @param  {String} key
+ * @return {Number} 1-based line number, or `null`
  */
-var buildContext = function (data, hash) {
-
-	// set keys to whatever is defined
-	var materials = {};
-	materials[options.keys.materials] = assembly.materials;
+var getFrontMatterLine = function (fileMatter, key) {
 
-	var materialBlocks = {};
-	materialBlocks[options.keys.materialBlocks] = assembly.materialBlocks;
-
-	var materialPartials = {};
-	materialPartials[options.keys.materialPartials] = assembly.materialPartials;
-
-	var views = {};
-	views[options.keys.views] = assembly.views;
-
-	var docs = {};
-	docs[options.keys.docs] = assembly.docs;
+	var lines = fileMatter.orig.split(/\r?\n/);
+	var index = _.findIndex(lines.slice(0, getContentOffset(fileMatter)), function (line) {
+		return line.indexOf(key + ':') === 0;
+	});
 
-	return _.assign({}, data, assembly.data, assembly.materialData, materials, materialBlocks, assembly.materialBlocksData, materialPartials, views, docs, hash);
+	return (index > -1) ? index + 1 : null;
 
 };
 
@@ -310,623 +398,3976 @@ var wrapPage = function (page, layout) {
 	}
 };
 
-var replaceHtmlSpecialChars = function (str) {
-	return String(str).
-		replace(/&/g, '&amp;').
-		replace(/</g, '&lt;').
-		replace(/>/g, '&gt;').
-		replace(/"/g, '&quot;').
-		replace(/'/g, '&#039;');
-}
-
-
 /**
- * Parse each material - collect data, create partial
+ * Take the `{% content name %}...{% endcontent %}` blocks out of a page or layout
+ * @param  {String} source
+ * @example
+ * 'Main{% content sidebar %}Links{% endcontent %}' -> { body: 'Main', regions: { sidebar: 'Links' } }
+ * @return {Object} The remaining `body`, and the content of each region
  */
-var parseMaterialPartials = function () {
-
-	// reset object
-	assembly.materialPartials = {};
-
-	// get files and dirs
-	var files = globby.sync(options.materialPartials, { nodir: true, nosort: true });
+var extractRegions = function (source) {
 
-	// build a glob for identifying directories
-	options.materialPartials = (typeof options.materialPartials === 'string') ? [options.materialPartials] : options.materialPartials;
-	var dirsGlob = options.materialPartials.map(function (pattern) {
-		return path.dirname(pattern) + '/*/';
-	});
+	var regions = {};
 
-	// get all directories
-	// do a new glob; trailing slash matches only dirs
-	var dirs = globby.sync(dirsGlob).map(function (dir) {
-		return path.normalize(dir).split(path.sep).slice(-2, -1)[0];
+	var body = source.replace(/\{\%\s*content\s+([\w\-]+)\s*\%\}([\s\S]*?)\{\%\s*endcontent\s*\%\}/g, function (match, name, content) {
+		regions[name] = content;
+		return '';
 	});
 
+	return { body: body, regions: regions };
 
-	// stub out an object for each collection and subCollection
-	files.forEach(function (file) {
-
-		var parent = getName(path.normalize(path.dirname(file)).split(path.sep).slice(-2, -1)[0], true);
-		var collection = getName(path.normalize(path.dirname(file)).split(path.sep).pop(), true);
-		var isSubCollection = (dirs.indexOf(parent) > -1);
-
-		// get the material base dir for stubbing out the base object for each category (e.g. component, structure)
-		var materialBase = (isSubCollection) ? parent : collection;
+};
 
-		// stub the base object
-		assembly.materialPartials[materialBase] = assembly.materialPartials[materialBase] || {
-			name: toTitleCase(getName(materialBase)),
-			items: {}
-		};
 
-		if (isSubCollection) {
-			assembly.materialPartials[parent].items[collection] = assembly.materialPartials[parent].items[collection] || {
-				name: toTitleCase(getName(collection)),
-				items: {}
-			};
-		}
+/**
+ * Fill the `{% region name %}default{% endregion %}` blocks of a layout, then insert the page body
+ * @param  {String} layout
+ * @param  {String} body
+ * @param  {Object} regions Content by region name; empty content leaves the default
+ * @return {String}
+ */
+var fillLayout = function (layout, body, regions) {
 
+	var filled = layout.replace(/\{\%\s*region\s+([\w\-]+)\s*\%\}([\s\S]*?)\{\%\s*endregion\s*\%\}/g, function (match, name, defaultContent) {
+		return (/\S/.test(regions[name] || '')) ? regions[name] : defaultContent;
 	});
 
+	return wrapPage(body, filled);
 
-	// iterate over each file (material)
-	files.forEach(function (file) {
-
-		// get info
-		var fileMatter = getMatter(file);
-		var collection = getName(path.normalize(path.dirname(file)).split(path.sep).pop(), true);
-		var parent = path.normalize(path.dirname(file)).split(path.sep).slice(-2, -1)[0];
-		var isSubCollection = (dirs.indexOf(parent) > -1);
-		var id = (isSubCollection) ? getName(collection) + '.' + getName(file) : getName(file);
-		var key = (isSubCollection) ? collection + '.' + getName(file, true) : getName(file, true);
-
-		// get material front-matter, omit `notes`
-		var localData = _.omit(fileMatter.data, 'notes');
+};
 
-		// trim whitespace from material content
-		var content = fileMatter.content.replace(/^(\s*(\r?\n|\r))+|(\s*(\r?\n|\r))+$/g, '');
+var replaceHtmlSpecialChars = function (str) {
+	return String(str).
+		replace(/&/g, '&amp;').
+		replace(/</g, '&lt;').
+		replace(/>/g, '&gt;').
+		replace(/"/g, '&quot;').
+		replace(/'/g, '&#039;');
+};
 
 
-		// capture meta data for the material
-		if (!isSubCollection) {
-			assembly.materialPartials[collection].items[key] = {
-				name: toTitleCase(id),
-				notes: (fileMatter.data.notes) ? md.render(fileMatter.data.notes) : '',
-				data: localData
-			};
+/**
+ * Parse CSV with a header row
+ * @param  {String} source
+ * @example
+ * 'name,price\nShirt,"1,50"' -> [{ name: 'Shirt', price: '1,50' }]
+ * @return {Array} A plain object per row, keyed by header
+ */
+var parseCsv = function (source) {
+
+	var rows = [[]];
+	var field = '';
+	var quoted = false;
+
+	for (var i = 0; i < source.length; i++) {
+
+		var char = source.charAt(i);
+
+		if (quoted) {
+			if (char === '"' && source.charAt(i + 1) === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			_.last(rows).push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			_.last(rows).push(field);
+			field = '';
+			rows.push([]);
+			// treat `\r\n` as one line break
+			if (char === '\r' && source.charAt(i + 1) === '\n') {
+				i++;
+			}
 		} else {
-			assembly.materialPartials[parent].items[collection].items[key] = {
-				name: toTitleCase(id.split('.')[1]),
-				notes: (fileMatter.data.notes) ? md.render(fileMatter.data.notes) : '',
-				data: localData
-			};
+			field += char;
 		}
 
+	}
 
-		// store material-name-spaced local data in template context
-		assembly.materialData[id.replace(/\./g, '-')] = localData;
-
-
-		// replace local fields on the fly with name-spaced keys
-		// this allows partials to use local front-matter data
-		// only affects the compilation environment
-		if (!_.isEmpty(localData)) {
-			_.forEach(localData, function (val, key) {
-				// {{field}} => {{material-name.field}}
-				var regex = new RegExp('(\\{\\{[#\/]?)(\\s?' + key + '+?\\s?)(\\}\\})', 'g');
-				content = content.replace(regex, function (match, p1, p2, p3) {
-					return p1 + id.replace(/\./g, '-') + '.' + p2.replace(/\s/g, '') + p3;
-				});
-			});
-		}
-
-		// register the partial
-		Handlebars.registerPartial(id, content);
+	_.last(rows).push(field);
 
+	// skip blank lines
+	rows = rows.filter(function (row) {
+		return row.length > 1 || row[0] !== '';
 	});
 
+	var header = rows.shift() || [];
 
-	// sort materials object alphabetically
-	assembly.materialPartials = sortObj(assembly.materialPartials, 'order');
-
-	for (var collection in assembly.materialPartials) {
-		assembly.materialPartials[collection].items = sortObj(assembly.materialPartials[collection].items, 'order');
-	}
+	return rows.map(function (row) {
+		return _.zipObject(header, row);
+	});
 
 };
 
 
-
-
-
 /**
- * Parse each material - collect data, create partial
+ * Read a data file: JSON or YAML, CSV, or a JavaScript module exporting data or a function returning data
+ * @param  {String} file
+ * @return {*}
  */
-var parseMaterials = function () {
-
-	// reset object
-	assembly.materials = {};
-
-	// get files and dirs
-	var files = globby.sync(options.materials, { nodir: true, nosort: true });
-
-	// build a glob for identifying directories
-	options.materials = (typeof options.materials === 'string') ? [options.materials] : options.materials;
-	var dirsGlob = options.materials.map(function (pattern) {
-		return path.dirname(pattern) + '/*/';
-	});
+var readData = function (file) {
 
-	// get all directories
-	// do a new glob; trailing slash matches only dirs
-	var dirs = globby.sync(dirsGlob).map(function (dir) {
-		return path.normalize(dir).split(path.sep).slice(-2, -1)[0];
-	});
+	var ext = path.extname(file).toLowerCase();
 
+	if (ext === '.csv') {
+		return parseCsv(fs.readFileSync(file, 'utf-8'));
+	}
 
-	// stub out an object for each collection and subCollection
-	files.forEach(function (file) {
+	if (ext === '.js') {
 
-		var parent = getName(path.normalize(path.dirname(file)).split(path.sep).slice(-2, -1)[0], true);
-		var collection = getName(path.normalize(path.dirname(file)).split(path.sep).pop(), true);
-		var isSubCollection = (dirs.indexOf(parent) > -1);
+		var modulePath = path.resolve(file);
 
-		// get the material base dir for stubbing out the base object for each category (e.g. component, structure)
-		var materialBase = (isSubCollection) ? parent : collection;
+		// pick up changes on rebuilds
+		delete require.cache[modulePath];
 
-		// stub the base object
-		assembly.materials[materialBase] = assembly.materials[materialBase] || {
-			name: toTitleCase(getName(materialBase)),
-			items: {}
-		};
+		var data = require(modulePath);
 
-		if (isSubCollection) {
-			assembly.materials[parent].items[collection] = assembly.materials[parent].items[collection] || {
-				name: toTitleCase(getName(collection)),
-				items: {}
-			};
+		if (_.isFunction(data)) {
+			data = data();
 		}
 
-	});
+		if (data && _.isFunction(data.then)) {
+			throw new Error('Data modules must return data synchronously, not a promise');
+		}
 
+		return data;
 
-	// iterate over each file (material)
-	files.forEach(function (file) {
+	}
 
-		// get info
-		var fileMatter = getMatter(file);
-		var collection = getName(path.normalize(path.dirname(file)).split(path.sep).pop(), true);
-		var parent = path.normalize(path.dirname(file)).split(path.sep).slice(-2, -1)[0];
-		var isSubCollection = (dirs.indexOf(parent) > -1);
-		var id = (isSubCollection) ? getName(collection) + '.' + getName(file) : getName(file);
-		var key = (isSubCollection) ? collection + '.' + getName(file, true) : getName(file, true);
+	return yaml.safeLoad(fs.readFileSync(file, 'utf-8'));
 
-		// get material front-matter, omit `notes`
-		var localData = _.omit(fileMatter.data, 'notes');
+};
 
-		// trim whitespace from material content
-		var content = fileMatter.content.replace(/^(\s*(\r?\n|\r))+|(\s*(\r?\n|\r))+$/g, '');
 
+/**
+ * Turn a heading into a URL fragment
+ * @param  {String} str
+ * @example
+ * 'Do & Don\'t' -> 'do-dont'
+ * @return {String}
+ */
+var slugify = function (str) {
+	return String(str).toLowerCase().replace(/['\u2019]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+};
 
-		// capture meta data for the material
-		if (!isSubCollection) {
-			assembly.materials[collection].items[key] = {
-				name: toTitleCase(id),
-				notes: (fileMatter.data.notes) ? md.render(fileMatter.data.notes) : '',
-				data: localData
-			};
-		} else {
-			assembly.materials[parent].items[collection].items[key] = {
-				name: toTitleCase(id.split('.')[1]),
-				notes: (fileMatter.data.notes) ? md.render(fileMatter.data.notes) : '',
-				data: localData
-			};
-		}
 
+/**
+ * Languages written right to left
+ * @type {Array}
+ */
+var rtlLanguages = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'ur', 'yi'];
 
-		// store material-name-spaced local data in template context
-		assembly.materialData[id.replace(/\./g, '-')] = localData;
 
-	});
+/**
+ * Get the BCP 47 language tag of a locale code
+ * @param  {String} code
+ * @example
+ * 'en_US' -> 'en-US'
+ * @return {String}
+ */
+var getLanguageTag = function (code) {
+	return code.replace(/_/g, '-');
+};
 
 
-	// sort materials object alphabetically
-	assembly.materialPartials = sortObj(assembly.materialPartials, 'order');
+/**
+ * Get the plural category of a count in a language; `other` for languages `Intl` doesn't know
+ * @param  {Number} count
+ * @param  {String} lang Language tag
+ * @return {String}
+ */
+var getPluralCategory = function (count, lang) {
 
-	for (var collection in assembly.materialPartials) {
-		assembly.materialPartials[collection].items = sortObj(assembly.materialPartials[collection].items, 'order');
+	try {
+		if (Intl.PluralRules.supportedLocalesOf(lang).length) {
+			return new Intl.PluralRules(lang).select(count);
+		}
+	} catch (e) {
+		// not a valid language tag
 	}
 
-};
-
+	return 'other';
 
+};
 
 
 /**
- * Parse markdown files as "docs"
+ * Get the writing direction of a language
+ * @param  {String} lang Language code, e.g. `ar` or `de-CH`
+ * @return {String} `rtl` or `ltr`
  */
-var parseDocs = function () {
+var getTextDirection = function (lang) {
+	return (_.includes(rtlLanguages, lang.split('-')[0].toLowerCase())) ? 'rtl' : 'ltr';
+};
 
-	// reset
-	assembly.docs = {};
 
-	// get files
-	var files = globby.sync(options.docs, { nodir: true });
+/**
+ * Pick the form of a message for a count
+ * @param  {(String|Object)} message A string, or strings by plural category (`zero`, `one`, `two`, `few`, `many`, `other`)
+ * @param  {Number} count
+ * @param  {String} lang  Language code, for its plural rules
+ * @example
+ * ({ one: '{count} item', other: '{count} items' }, 3, 'en') -> '{count} items'
+ * @return {String}
+ */
+var pluralize = function (message, count, lang) {
 
-	// iterate over each file (material)
-	files.forEach(function (file) {
+	if (!_.isPlainObject(message)) {
+		return message;
+	}
 
-		var id = getName(file);
+	// `zero` is a category in few languages, but a common special case in all of them
+	if (count === 0 && _.has(message, 'zero')) {
+		return message.zero;
+	}
 
-		// save each as unique prop
-		assembly.docs[id] = {
-			name: toTitleCase(id),
-			content: md.render(fs.readFileSync(file, 'utf-8'))
-		};
+	var category = (_.isNumber(count)) ? getPluralCategory(count, lang) : 'other';
 
-	});
+	return (_.has(message, category)) ? message[category] : message.other;
 
 };
 
 
 /**
- * Parse layout files
+ * Replace `{name}` placeholders in a message
+ * @param  {String} message
+ * @param  {Object} values
+ * @example
+ * ('Hello {name}', { name: 'Ada' }) -> 'Hello Ada'
+ * @return {String}
  */
-var parseLayouts = function () {
-
-	// reset
-	assembly.layouts = {};
-
-	// get files
-	var files = globby.sync(options.layouts, { nodir: true });
-
-	// save content of each file
-	files.forEach(function (file) {
-		var id = getName(file);
-		var content = fs.readFileSync(file, 'utf-8');
-		assembly.layouts[id] = content;
+var interpolate = function (message, values) {
+	return String(message).replace(/\{(\w+)\}/g, function (match, key) {
+		return (_.has(values, key)) ? values[key] : match;
 	});
-
 };
 
 
 /**
- * Register layout includes has Handlebars partials
+ * Resolve a path relative to `dest` against a page's `baseurl`.
+ * URLs with a scheme, protocol-relative URLs and fragments are left alone.
+ * @param  {String} target
+ * @param  {String} baseurl
+ * @example
+ * ('/assets/main.css', '../..') -> '../../assets/main.css'
+ * ('#top', '..') -> '#top'
+ * @return {String}
  */
-var parseLayoutIncludes = function () {
+var getUrl = function (target, baseurl) {
 
-	// get files
-	var files = globby.sync(options.layoutIncludes, { nodir: true });
+	if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(target)) {
+		return target;
+	}
 
-	// save content of each file
-	files.forEach(function (file) {
-		var id = getName(file);
-		var content = fs.readFileSync(file, 'utf-8');
-		Handlebars.registerPartial(id, content);
-	});
+	return baseurl.replace(/\/+$/, '') + '/' + String(target).replace(/^\/+/, '');
 
 };
 
 
 /**
- * Parse data files and save JSON
+ * Create a markdown-it instance
+ * @param  {Object} settings markdown-it options, plus `plugins`
+ * @return {Object}
  */
-var parseData = function () {
-
-	// reset
-	assembly.data = {};
+var createMarkdown = function (settings) {
 
-	// get files
-	var files = globby.sync(options.data, { nodir: true });
+	var md = markdownIt(_.omit(settings, 'plugins'));
 
-	// save content of each file
-	files.forEach(function (file) {
-		var id = getName(file);
-		var content = yaml.safeLoad(fs.readFileSync(file, 'utf-8'));
-		assembly.data[id] = content;
+	(settings.plugins || []).forEach(function (plugin) {
+		md.use.apply(md, [].concat(plugin));
 	});
 
+	return md;
+
 };
 
 
 /**
- * Get meta data for views
+ * Remove the indentation shared by all lines, so indented template blocks aren't read as code
+ * @param  {String} str
+ * @return {String}
  */
-var parseViews = function () {
+var stripIndent = function (str) {
+
+	var indents = str.split(/\r?\n/).filter(function (line) {
+		return /\S/.test(line);
+	}).map(function (line) {
+		return line.match(/^[ \t]*/)[0].length;
+	});
 
-	// reset
-	assembly.views = {};
+	var indent = _.min(indents) || 0;
 
-	// get files
-	var files = globby.sync(options.views, { nodir: true });
+	return str.split(/\r?\n/).map(function (line) {
+		return line.slice(Math.min(indent, line.match(/^[ \t]*/)[0].length));
+	}).join('\n');
 
-	files.forEach(function (file) {
+};
 
-		var id = getName(file, true);
 
-		// determine if view is part of a collection (subdir)
-		var dirname = path.normalize(path.dirname(file)).split(path.sep).pop(),
-			collection = (dirname !== options.keys.views) ? dirname : '';
+/**
+ * Split markdown into sections at its top-level headings
+ * @param  {Object} md     markdown-it instance
+ * @param  {String} source Markdown
+ * @example
+ * 'Intro\n## Usage\nText' -> [{ name: '', slug: '', content: '<p>Intro</p>' }, { name: 'Usage', slug: 'usage', content: '<p>Text</p>' }]
+ * @return {Array} Sections; each has `name`, `slug` and rendered `content`
+ */
+var getSections = function (md, source) {
 
-		var fileMatter = getMatter(file),
-			fileData = _.omit(fileMatter.data, 'notes');
+	var tokens = md.parse(source, {});
+	var lines = source.split(/\r?\n/);
 
-		// if this file is part of a collection
-		if (collection) {
+	var headings = tokens.filter(function (token) {
+		return token.type === 'heading_open';
+	});
 
-			// create collection if it doesn't exist
-			assembly.views[collection] = assembly.views[collection] || {
-				name: toTitleCase(collection),
-				items: {}
-			};
+	// `h1` < `h2` < ...
+	var level = _.min(_.map(headings, 'tag'));
 
-			// store view data
-			assembly.views[collection].items[id] = {
-				name: toTitleCase(id),
-				data: fileData
-			};
+	var sections = [{ name: '', start: 0 }];
 
+	tokens.forEach(function (token, index) {
+		if (token.type === 'heading_open' && token.tag === level) {
+			_.last(sections).end = token.map[0];
+			sections.push({ name: tokens[index + 1].content, start: token.map[1] });
 		}
+	});
 
+	return sections.map(function (section) {
+		return {
+			name: section.name,
+			slug: slugify(section.name),
+			content: md.render(lines.slice(section.start, section.end).join('\n'))
+		};
+	}).filter(function (section) {
+		// drop an empty intro
+		return section.name || section.content;
 	});
 
 };
 
 
-
-
 /**
- * Get meta data for views
+ * Render markdown with an `id` on every heading
+ * @param  {Object} md     markdown-it instance
+ * @param  {String} source Markdown
+ * @return {Object} Rendered `content`, and `toc`: headings with `level`, `name` and `slug`
  */
-var parseMaterialBlocks = function () {
-
-	// reset
-	assembly.materialBlocks = {};
-
-	// get files
-	var files = globby.sync(options.materialBlocks, { nodir: true });
-
-	files.forEach(function (file) {
-
-		var id = getName(file, true);
+var renderWithAnchors = function (md, source) {
 
-		// determine if view is part of a collection (subdir)
-		var dirname = path.normalize(path.dirname(file)).split(path.sep).pop(),
-			collection = (dirname !== options.keys.materialBlocks) ? dirname : '';
+	var env = {};
+	var tokens = md.parse(source, env);
+	var slugCounts = {};
+	var toc = [];
 
-		var fileMatter = getMatter(file),
-			fileData = _.omit(fileMatter.data, 'notes');
-		fileData.fabricator = true;
+	tokens.forEach(function (token, index) {
 
-		// if this file is part of a collection
-		if (collection) {
-
-			// create collection if it doesn't exist
-			assembly.materialBlocks[collection] = assembly.materialBlocks[collection] || {
-				name: toTitleCase(collection),
-				items: {}
-			};
+		if (token.type !== 'heading_open') {
+			return;
+		}
 
-			// store view data
-			assembly.materialBlocks[collection].items[id] = {
-				name: toTitleCase(id),
-				data: fileData
-			};
+		var name = tokens[index + 1].content;
+		var slug = slugify(name) || 'section';
 
+		// keep anchors unique within the document: `usage`, `usage-1`, ...
+		if (slugCounts[slug]) {
+			slugCounts[slug]++;
+			slug += '-' + (slugCounts[slug] - 1);
+		} else {
+			slugCounts[slug] = 1;
 		}
 
+		token.attrSet('id', slug);
+		toc.push({ level: Number(token.tag.slice(1)), name: name, slug: slug });
+
 	});
 
+	return {
+		content: md.renderer.render(tokens, md.options, env),
+		toc: toc
+	};
 
 };
 
 
+/**
+ * Normalize a file path or glob so paths from watchers and globby can be compared
+ * @param  {String} filePath
+ * @example
+ * './src/views/index.html' -> 'src/views/index.html'
+ * '/abs/cwd/src/views/index.html' -> 'src/views/index.html'
+ * @return {String}
+ */
+var normalizePath = function (filePath) {
+	var normalized = path.isAbsolute(filePath) ? path.relative(process.cwd(), filePath) : path.normalize(filePath);
+	return normalized.split(path.sep).join('/');
+};
+
 
 /**
- * Register new Handlebars helpers
+ * Test a file path against a glob or list of globs; `!` patterns exclude
+ * @param  {String} filePath
+ * @param  {(String|Array)} patterns
+ * @return {Boolean}
  */
-var registerHelpers = function () {
+var matchesGlob = function (filePath, patterns) {
 
-	// get helper files
-	var resolveHelper = path.join.bind(null, __dirname, 'helpers');
-	var localHelpers = fs.readdirSync(resolveHelper());
-	var userHelpers = options.helpers;
+	var file = normalizePath(filePath);
+	var globs = [].concat(patterns || []);
 
+	var isNegated = function (pattern) {
+		return pattern.charAt(0) === '!';
+	};
 
+	var matches = function (pattern) {
+		return minimatch(file, normalizePath(pattern.replace(/^!/, '')), { dot: true });
+	};
 
-	// register local helpers
-	localHelpers.map(function (helper) {
-		var key = helper.match(/(^\w+?-)(.+)(\.\w+)/)[2];
-		var path = resolveHelper(helper);
-		Handlebars.registerHelper(key, require(path));
-	});
+	return _.some(_.reject(globs, isNegated), matches) && !_.some(_.filter(globs, isNegated), matches);
 
+};
 
-	// register user helpers
-	for (var helper in userHelpers) {
-		if (userHelpers.hasOwnProperty(helper)) {
-			Handlebars.registerHelper(helper, userHelpers[helper]);
-		}
+
+/**
+ * Run a single build phase, recording how long it took
+ * @param  {String}   name   Phase name, used as the key in `timings`
+ * @param  {Function} fn
+ * @param  {Object}   timings
+ * @return {*} Return value of `fn`
+ */
+var runPhase = function (name, fn, timings) {
+
+	var start = Date.now();
+
+	try {
+		var result = fn();
+		timings[name] = Date.now() - start;
+		return result;
+	} catch (e) {
+		e.phase = e.phase || name;
+		throw e;
 	}
 
+};
+
+
+/**
+ * Count the items in a collection tree (items without sub-items)
+ * @param  {Object} collections
+ * @return {Number}
+ */
+var countItems = function (collections) {
+	return _.reduce(collections, function (count, item) {
+		return count + ((item.items) ? countItems(item.items) : 1);
+	}, 0);
+};
+
+
+/**
+ * Get the partial name a material reference resolves to
+ * @param  {String} name
+ * @example
+ * '01-alerts.02-primary' -> 'alerts.primary'
+ * 'components/01-forms/text' -> 'components/forms/text'
+ * @return {String}
+ */
+var toPartialName = function (name) {
+	// partials are always registered with the leading numbers removed
+	// This is for every sub-collection as well as the file(name) itself!
+	return name.replace(/(^|[\.\/])(\d+[\-\.])+/g, '$1');
+};
+
+
+/**
+ * Get the static base directory of a glob
+ * @param  {String} pattern
+ * @example
+ * './src/materials/**\/*' -> 'src/materials'
+ * @return {String}
+ */
+var getGlobBase = function (pattern) {
 
-	Handlebars.registerHelper('toJSON', function (object) {
-		return new Handlebars.SafeString(JSON.stringify(object));
+	var segments = normalizePath(pattern.replace(/^!/, '')).split('/');
+	var index = _.findIndex(segments, function (segment) {
+		return /[*?\[\]{}()!+@]/.test(segment);
 	});
 
-	/**
-	 * `material`
-	 * @description Like a normal partial include (`{{> partialName }}`),
-	 * but with some additional templating logic to help with nested block iterations.
-	 * The name of the helper is the singular form of whatever is defined as the `options.keys.materials`
-	 * @example
-	 * {{material name context}}
-	 */
-	Handlebars.registerHelper('prettyHTML', function (content) {
+	return ((index > -1) ? segments.slice(0, index) : segments.slice(0, -1)).join('/');
+
+};
 
-		return beautifyHtml(content, options.beautifier);
 
+/**
+ * Get the base directory of the (most specific) glob a file was found with
+ * @param  {String} file
+ * @param  {(String|Array)} patterns
+ * @example
+ * ('src/materials/components/button.html', 'src/materials/**\/*') -> 'src/materials'
+ * @return {String} Base directory; empty for globs from the working directory, `undefined` if no glob can match
+ */
+var getMatchingGlobBase = function (file, patterns) {
+
+	var normalized = normalizePath(file);
+
+	return _.maxBy([].concat(patterns).filter(function (pattern) {
+		return pattern.charAt(0) !== '!';
+	}).map(getGlobBase).filter(function (globBase) {
+		return !globBase || normalized.indexOf(globBase + '/') === 0;
+	}), 'length');
+
+};
+
+
+/**
+ * Get the collection directories of a file, relative to the base of the glob it matched
+ * @param  {String} file
+ * @param  {(String|Array)} patterns
+ * @param  {Boolean} [rootItems] Leave files at the root of the glob outside of any collection
+ * @example
+ * 'src/materials/01-components/forms/text.html' -> ['01-components', 'forms']
+ * @return {Array}
+ */
+var getCollectionDirs = function (file, patterns, rootItems) {
+
+	var normalized = normalizePath(file);
+	var base = getMatchingGlobBase(file, patterns) || '';
+
+	var dirs = path.posix.dirname((base) ? normalized.slice(base.length + 1) : normalized).split('/').filter(function (dir) {
+		return dir && dir !== '.';
 	});
 
+	// files at the root of the glob are collected under the base directory's name
+	return (dirs.length || rootItems) ? dirs : [path.posix.basename(base || path.posix.dirname(normalized))];
 
+};
 
 
-	/**
-	 * Helpers that require local functions like `buildContext()`
-	 */
+/**
+ * Get the partial names of a material. Directories below the top-level collection are part of the id.
+ * @param  {String} file
+ * @param  {(String|Array)} patterns Globs the file was found with
+ * @example
+ * 'src/materials/01-components/forms/02-inputs/text.html' ->
+ * {
+ *   id: 'forms.inputs.text',
+ *   key: 'forms.02-inputs.text',
+ *   path: 'components/forms/inputs/text',
+ *   dirs: ['01-components', 'forms', '02-inputs']
+ * }
+ * @return {Object} `id` (short name), `key` (id with number prefixes), `path` (collection path) and `dirs`
+ */
+var getMaterialIds = function (file, patterns) {
+
+	var dirs = getCollectionDirs(file, patterns);
+	var subDirs = dirs.slice(1);
+
+	return {
+		id: subDirs.map(function (dir) {
+			return getName(dir);
+		}).concat(getName(file)).join('.'),
+		key: subDirs.concat(getName(file, true)).join('.'),
+		path: dirs.map(function (dir) {
+			return getName(dir);
+		}).concat(getName(file)).join('/'),
+		dirs: dirs
+	};
 
-	/**
-	 * `material`
-	 * @description Like a normal partial include (`{{> partialName }}`),
-	 * but with some additional templating logic to help with nested block iterations.
-	 * The name of the helper is the singular form of whatever is defined as the `options.keys.materials`
-	 * @example
-	 * {{material name context}}
-	 */
-	Handlebars.registerHelper(inflect.singularize(options.keys.materials), function (name, context, opts) {
+};
 
-		// remove leading numbers from name keyword
-		// partials are always registered with the leading numbers removed
-		// This is for both the subCollection as the file(name) itself!
-		var key = name.replace(/(\d+[\-\.])+/, '').replace(/(\d+[\-\.])+/, '');
 
-		// attempt to find pre-compiled partial
-		var template = Handlebars.partials[key],
-			fn;
+/**
+ * Get the keys of an item in a collection type
+ * @param  {String}         file
+ * @param  {(String|Array)} patterns Globs the file was found with
+ * @param  {Boolean}        nested   Collections at any depth; otherwise only the nearest directory is a
+ * collection, and files at the root of the glob aren't in one
+ * @example
+ * ('src/views/pages/02-home.html', patterns, false) ->
+ * { id: 'home', key: '02-home', path: 'pages/home', dirs: ['pages'] }
+ * @return {Object} `id`, `key`, `path` and `dirs`, see `getMaterialIds()`
+ */
+var getCollectionKeys = function (file, patterns, nested) {
 
-		// compile partial if not already compiled
-		if (!_.isFunction(template)) {
-			fn = Handlebars.compile(template);
-		} else {
-			fn = template;
+	if (nested) {
+		return getMaterialIds(file, patterns);
+	}
+
+	var dirs = getCollectionDirs(file, patterns, true).slice(-1);
+
+	return {
+		id: getName(file),
+		key: getName(file, true),
+		path: dirs.map(function (dir) {
+			return getName(dir);
+		}).concat(getName(file)).join('/'),
+		dirs: dirs
+	};
+
+};
+
+
+/**
+ * Remove blank lines from the start and end of template content
+ * @param  {String} content
+ * @return {String}
+ */
+var trimContent = function (content) {
+	return content.replace(/^(\s*(\r?\n|\r))+|(\s*(\r?\n|\r))+$/g, '');
+};
+
+
+/**
+ * Add an item to a collection tree, creating a collection for each directory
+ * @param  {Object} tree
+ * @param  {Array}  dirs
+ * @param  {String} key
+ * @param  {Object} item
+ */
+var addToTree = function (tree, dirs, key, item) {
+
+	var items = dirs.reduce(function (collections, dir) {
+		collections[dir] = collections[dir] || {
+			name: toTitleCase(getName(dir)),
+			items: {}
+		};
+		return collections[dir].items;
+	}, tree);
+
+	items[key] = item;
+
+};
+
+
+/**
+ * Sort a collection tree alphabetically (i.e. by number prefix) at every level
+ * @param  {Object} tree
+ * @return {Object}
+ */
+var sortTree = function (tree) {
+
+	var sorted = sortObj(tree, 'order');
+
+	_.forEach(sorted, function (entry) {
+		if (entry.items) {
+			entry.items = sortTree(entry.items);
 		}
+	});
 
-		// return beautified html with trailing whitespace removed
-		return beautifyHtml(fn(buildContext(context, opts.hash)).replace(/^\s+/, ''), options.beautifier);
+	return sorted;
+
+};
 
+
+/**
+ * Get breadcrumbs for an item in a collection tree
+ * @param  {Array} dirs
+ * @return {Array} `key` and `name` of each collection
+ */
+var getBreadcrumbs = function (dirs) {
+	return dirs.map(function (dir) {
+		return {
+			key: dir,
+			name: toTitleCase(getName(dir))
+		};
 	});
+};
+
+
+/**
+ * Get the data overrides of a material variant
+ * @param  {Function} partial Material partial, see `createMaterialPartial()`
+ * @param  {String}   name    Material name, for error messages
+ * @param  {String}   variant Variant name; nothing to override if empty
+ * @return {Object}
+ */
+var getVariantData = function (partial, name, variant) {
+
+	if (!variant) {
+		return {};
+	}
+
+	if (!partial.variants || !partial.variants[variant]) {
+		throw new Error('The material "' + name + '" has no variant "' + variant + '"');
+	}
+
+	return partial.variants[variant];
 
 };
 
 
 /**
- * Setup the assembly
- * @param  {Objet} options  User options
+ * Normalize a material's `props` front matter into a list
+ * @param  {Object} props Prop definitions keyed by name; a string is shorthand for `{ type: string }`
+ * @example
+ * ({ title: { type: 'string', required: true }, size: 'number' }) ->
+ * [{ name: 'title', type: 'string', required: true, ... }, { name: 'size', type: 'number', required: false, ... }]
+ * @return {Array} `name`, `type`, `required`, `default` and `description` of each prop
  */
-var setup = function (userOptions) {
+var getPropsSchema = function (props) {
+	return _.map(props || {}, function (prop, name) {
 
-	// merge user options with defaults
-	options = _.merge({}, defaults, userOptions);
+		prop = (_.isString(prop)) ? { type: prop } : prop || {};
 
-	// setup steps
-	registerHelpers();
-	parseLayouts();
-	parseLayoutIncludes();
-	parseData();
-	parseMaterialPartials();
-	parseMaterials();
-	parseMaterialBlocks();
-	parseViews();
-	parseDocs();
+		return {
+			name: name,
+			type: prop.type || 'any',
+			required: !!prop.required,
+			'default': prop['default'],
+			description: prop.description || ''
+		};
+
+	});
+};
 
+
+/**
+ * Get the default values of a props schema
+ * @param  {Array} schema Result of `getPropsSchema()`
+ * @return {Object}
+ */
+var getPropDefaults = function (schema) {
+	return _.fromPairs(schema.filter(function (prop) {
+		return !_.isUndefined(prop['default']);
+	}).map(function (prop) {
+		return [prop.name, prop['default']];
+	}));
 };
 
 
 /**
- * Assemble views using materials, data, and docs
+ * Get the prop type of a value
+ * @param  {*} value
+ * @return {String} `string`, `number`, `boolean`, `array`, `object`, `null`, ...
  */
-var assemble = function () {
+var getValueType = function (value) {
 
-	// get files
-	// var filePile = _.merge(options.views, options.materialBlocks);
-	// console.log(filePile);
-	var views = globby.sync(options.views, { nodir: true });
-	var blocks = globby.sync(options.materialBlocks, { nodir: true });
-	var files = views.concat(blocks);
+	if (_.isArray(value)) {
+		return 'array';
+	}
 
-	// create output directory if it doesn't already exist
-	mkdirp.sync(options.dest);
+	if (_.isNull(value)) {
+		return 'null';
+	}
 
-	// iterate over each view
-	files.forEach(function (file) {
+	return typeof value;
 
-		var id = getName(file);
+};
 
-		// build filePath
-		var dirname = path.normalize(path.dirname(file)).split(path.sep).pop(),
-			type = path.normalize(path.dirname(file)).split(path.sep)[1],
-			name = collection = (dirname !== options.keys.views) ? dirname : '',
-			filePath = path.normalize(path.join(options.dest, collection, path.basename(file))),
-			basename = path.basename(file, '.html');
 
-		// get page gray matter and content
-		var pageMatter = getMatter(file),
-			pageContent = pageMatter.content;
+/**
+ * Check whether a value matches a prop type; `a|b` allows either type
+ * @param  {*}      value
+ * @param  {String} type
+ * @return {Boolean}
+ */
+var matchesPropType = function (value, type) {
+	return _.some(type.split('|'), function (option) {
+		option = _.trim(option);
+		return option === 'any' || option === getValueType(value);
+	});
+};
 
-		if (collection) {
-			pageMatter.data.baseurl = '..';
+
+/**
+ * Collect the partials and data paths a template references by walking its Handlebars AST
+ * @param  {String} source     Template source
+ * @param  {String} helperName Name of the singular material helper, e.g. `material`
+ * @return {Object} `partials` (names), `paths` (first segment of each data path),
+ * `dynamic` (true if a partial or material name is only known at render time) and
+ * `references` (each partial include and root-scope data path, with its location)
+ */
+var getReferences = function (source, helperName) {
+
+	var refs = {
+		partials: [],
+		paths: [],
+		dynamic: false,
+		references: []
+	};
+
+	// how many context-changing blocks (`each`, `with`, custom helpers) we are in
+	var depth = 0;
+
+	// root paths checked by the `if`/`unless` blocks we are in; they and the paths beneath them may be undefined
+	var guards = [];
+
+	var visitor = new Handlebars.Visitor();
+
+	var getLocation = function (node) {
+		return {
+			line: node.loc.start.line,
+			column: node.loc.start.column + 1
+		};
+	};
+
+	var getHashKeys = function (node) {
+		return (node.hash) ? _.map(node.hash.pairs, 'key') : [];
+	};
+
+	// context a partial or material is rendered with: the caller's (`page`), none given, or unknown
+	var getContextType = function (param) {
+		if (!param) {
+			return 'none';
+		}
+		if (param.type === 'PathExpression' && ((param.data && param.original === '@root') || (!param.data && !param.parts.length && !depth))) {
+			return 'page';
+		}
+		return 'opaque';
+	};
+
+	// path segments relative to the template's root scope, or null when the path can't be resolved up front
+	var getRootParts = function (pathExpression) {
+
+		var isRoot = pathExpression.data && pathExpression.parts[0] === 'root';
+		var parts = (isRoot) ? pathExpression.parts.slice(1) : pathExpression.parts;
+
+		if ((depth && !isRoot) || pathExpression.depth || (pathExpression.data && !isRoot)) {
+			return null;
 		}
 
-		// template using Handlebars
-		if (type === 'material-blocks') {
+		return parts;
 
-			var htmlContent = Handlebars.compile(pageContent);
+	};
+
+	// what is known about each hash argument: its literal value, the root path it reads, or nothing
+	var getHashArgs = function (node) {
+
+		var args = {};
+
+		_.forEach((node.hash) ? node.hash.pairs : [], function (pair) {
+			var value = pair.value;
+			var parts = (value.type === 'PathExpression') ? getRootParts(value) : null;
+
+			if (/Literal$/.test(value.type)) {
+				args[pair.key] = { literal: true, value: (value.type === 'UndefinedLiteral') ? undefined : value.value };
+			} else if (parts && parts.length) {
+				args[pair.key] = { parts: parts };
+			} else {
+				args[pair.key] = {};
+			}
+		});
+
+		return args;
+
+	};
+
+	var addPartial = function (node, name, type, context, param) {
+		refs.partials.push(name);
+		refs.references.push(_.assign({
+			type: type,
+			name: name,
+			hash: getHashKeys(node),
+			args: getHashArgs(node),
+			context: context,
+			contextParts: (context === 'opaque' && param.type === 'PathExpression') ? getRootParts(param) : null,
+			root: !depth
+		}, getLocation(node)));
+	};
+
+	var addPath = function (pathExpression, ambiguous) {
+
+		if (!pathExpression.data && pathExpression.parts.length) {
+			refs.paths.push(pathExpression.parts[0]);
+		}
+
+		// only paths at the template's root scope can be resolved up front
+		var parts = getRootParts(pathExpression);
+
+		if (!parts || !parts.length) {
+			return;
+		}
+
+		var isGuarded = _.some(guards, function (guard) {
+			return _.isEqual(parts.slice(0, guard.length), guard);
+		});
+
+		if (isGuarded) {
+			return;
+		}
 
-			pageMatter.data['name'] = pageMatter.data['name'] ? pageMatter.data['name'] : toTitleCase(basename);
-			pageMatter.data['block-markup'] = htmlContent();
+		refs.references.push(_.assign({
+			type: 'path',
+			name: parts.join('.'),
+			parts: parts,
+			ambiguous: ambiguous
+		}, getLocation(pathExpression)));
 
-			var source = wrapPage(pageContent, assembly.layouts['blocks']),
-				context = buildContext(pageMatter.data),
-				template = Handlebars.compile(source);
+	};
 
+	var visitPartial = function (partial) {
 
+		var name = partial.name;
 
+		if (name.type === 'PathExpression' && !name.data) {
+			addPartial(partial, name.original, (partial.type === 'PartialBlockStatement') ? 'partialBlock' : 'partial', getContextType(partial.params[0]), partial.params[0]);
+		} else if (name.type === 'StringLiteral') {
+			addPartial(partial, name.value, (partial.type === 'PartialBlockStatement') ? 'partialBlock' : 'partial', getContextType(partial.params[0]), partial.params[0]);
 		} else {
-			var source = wrapPage(pageContent, assembly.layouts[pageMatter.data.layout || options.layout]),
-				context = buildContext(pageMatter.data),
-				template = Handlebars.compile(source);
+			refs.dynamic = true;
 		}
 
+		this.acceptArray(partial.params);
+		this.acceptKey(partial, 'hash');
 
-		// redefine file path if dest front-matter variable is defined
-		if (pageMatter.data.dest) {
-			filePath = path.normalize(pageMatter.data.dest);
+	};
+
+	var visitCall = function (node) {
+
+		if (node.path.type !== 'PathExpression') {
+			return;
 		}
 
-		// change extension to .html
-		filePath = filePath.replace(/\.[0-9a-z]+$/, '.html');
+		// material helper
+		if (node.path.original === helperName) {
+			if (node.params[0] && node.params[0].type === 'StringLiteral') {
+				addPartial(node, toPartialName(node.params[0].value), 'material', getContextType(node.params[1]), node.params[1]);
+			} else {
+				refs.dynamic = true;
+				refs.references.push(_.assign({
+					type: 'dynamicMaterial',
+					context: getContextType(node.params[1])
+				}, getLocation(node)));
+			}
+		}
 
-		// write file
-		mkdirp.sync(path.dirname(filePath));
-		fs.writeFileSync(filePath, template(context));
+		// a bare `{{foo}}` or `{{#foo}}` is either a helper or data; anything with arguments is a helper
+		if (node.type === 'SubExpression' || node.params.length || node.hash) {
+			if (!node.path.data && node.path.parts.length) {
+				refs.paths.push(node.path.parts[0]);
+			}
+		} else {
+			addPath(node.path, true);
+		}
 
-		// write a copy file if custom dest-copy front-matter variable is defined
-		if (pageMatter.data['dest-copy']) {
-			var copyPath = path.normalize(pageMatter.data['dest-copy']);
-			mkdirp.sync(path.dirname(copyPath));
-			fs.writeFileSync(copyPath, template(context));
+		this.acceptArray(node.params);
+		this.acceptKey(node, 'hash');
+
+	};
+
+	var visitProgram = function (node, key, keepsContext) {
+		depth += (keepsContext) ? 0 : 1;
+		this.acceptKey(node, key);
+		depth -= (keepsContext) ? 0 : 1;
+	};
+
+	visitor.PartialStatement = visitPartial;
+
+	visitor.PartialBlockStatement = function (partial) {
+		visitPartial.call(this, partial);
+		this.acceptKey(partial, 'program');
+	};
+
+	visitor.MustacheStatement = visitCall;
+	visitor.SubExpression = visitCall;
+
+	visitor.BlockStatement = function (block) {
+
+		var helper = block.path.original;
+		var keepsContext = _.includes(['if', 'unless', 'slot', helperName], helper);
+		var condition = block.params[0];
+		var guard = (_.includes(['if', 'unless'], helper) && condition && condition.type === 'PathExpression') ? getRootParts(condition) : null;
+		var blockVisitor = this;
+
+		// an optional value is checked by its condition, and used in the branch where it is set
+		var guarded = function (isGuarded, fn) {
+			if (guard && guard.length && isGuarded) {
+				guards.push(guard);
+				fn();
+				guards.pop();
+			} else {
+				fn();
+			}
+		};
+
+		guarded(true, function () {
+			visitCall.call(blockVisitor, block);
+		});
+		guarded(helper === 'if', function () {
+			visitProgram.call(blockVisitor, block, 'program', keepsContext);
+		});
+		guarded(helper === 'unless', function () {
+			visitProgram.call(blockVisitor, block, 'inverse', keepsContext || _.includes(['each', 'with'], helper));
+		});
+
+	};
+
+	visitor.DecoratorBlock = function (decorator) {
+
+		// inline partials are defined by the template itself
+		if (decorator.path.original === 'inline' && decorator.params[0] && decorator.params[0].type === 'StringLiteral') {
+			refs.references.push(_.assign({
+				type: 'inline',
+				name: decorator.params[0].value
+			}, getLocation(decorator)));
 		}
-	});
+
+		visitProgram.call(this, decorator, 'program', false);
+
+	};
+
+	visitor.PathExpression = function (pathExpression) {
+		addPath(pathExpression, false);
+	};
+
+	visitor.accept(Handlebars.parse(source));
+
+	refs.partials = _.uniq(refs.partials);
+	refs.paths = _.uniq(refs.paths);
+
+	return refs;
 
 };
 
 
 /**
- * Module exports
- * @return {Object} Promise
+ * Create a dependency graph of templates. Nodes are materials and layout includes (keyed by
+ * partial name) and layouts, views and material blocks (keyed by source path).
+ * @return {Object}
  */
-module.exports = function (options) {
+var createDependencyGraph = function () {
+
+	var graph = {
+
+		/**
+		 * Each template; `uses` and `usedBy` are filled in by `link()`
+		 * @type {Object}
+		 */
+		nodes: {},
+
+		/**
+		 * Add or replace a node
+		 * @param  {Object} node `id`, `type`, `file`, `partials`, `paths`, `dynamic`;
+		 * optionally `name` (layouts), `layout` (pages), `dataKey` and `aliases` (materials)
+		 * @return {Object} The node
+		 */
+		addNode: function (node) {
+			graph.nodes[node.id] = _.assign({ uses: [], usedBy: [], aliases: [] }, node);
+			return graph.nodes[node.id];
+		},
+
+		/**
+		 * Get the id of the node a partial name refers to
+		 * @param  {String} name Node id or alias
+		 * @return {String} id, or `undefined`
+		 */
+		resolve: function (name) {
+
+			if (graph.nodes[name]) {
+				return name;
+			}
+
+			var node = _.find(graph.nodes, function (node) {
+				return _.includes(node.aliases, name);
+			});
 
-	try {
+			return (node) ? node.id : undefined;
+
+		},
+
+		/**
+		 * Remove every node of a type
+		 * @param  {String} type
+		 * @return {Array} The removed nodes
+		 */
+		removeNodes: function (type) {
+			var removed = _.filter(graph.nodes, { type: type });
+			graph.nodes = _.omitBy(graph.nodes, { type: type });
+			return removed;
+		},
+
+		/**
+		 * Resolve references into `uses` and `usedBy` edges
+		 */
+		link: function () {
+
+			var layouts = {};
+			var dataKeys = {};
+			var aliases = {};
+
+			_.forEach(graph.nodes, function (node) {
+				if (node.type === 'layout') {
+					layouts[node.name] = node.id;
+				}
+				if (node.dataKey) {
+					dataKeys[node.dataKey] = node.id;
+				}
+				node.aliases.forEach(function (alias) {
+					aliases[alias] = node.id;
+				});
+				node.usedBy = [];
+			});
 
-		// setup assembly
-		setup(options);
+			_.forEach(graph.nodes, function (node) {
 
-		// assemble
-		assemble();
+				var partials = node.partials.map(function (name) {
+					return graph.nodes[name] ? name : (aliases[name] || name);
+				});
 
-	} catch (e) {
-		handleError(e);
-	}
+				var uses = partials.concat(layouts[node.layout] || [], _.compact(node.paths.map(function (key) {
+					return dataKeys[key];
+				})));
+
+				node.uses = _.uniq(uses).filter(function (id) {
+					return id !== node.id && graph.nodes[id];
+				});
+
+			});
+
+			_.forEach(graph.nodes, function (node) {
+				node.uses.forEach(function (id) {
+					graph.nodes[id].usedBy.push(node.id);
+				});
+			});
+
+		},
+
+		/**
+		 * Get every node that depends on any of the given nodes, directly or indirectly.
+		 * Nodes that reference materials dynamically depend on every material.
+		 * @param  {Array} ids
+		 * @return {Array} ids, including the given ones
+		 */
+		dependentsOf: function (ids) {
 
+			var visited = {};
+			var queue = _.filter(ids, function (id) {
+				return graph.nodes[id];
+			});
+			var dynamicAdded = false;
+
+			while (queue.length) {
+				var id = queue.shift();
+				if (!visited[id]) {
+					visited[id] = true;
+					queue = queue.concat(graph.nodes[id].usedBy);
+				}
+				// a material reached directly or through what it includes may be on any dynamic page
+				if (!dynamicAdded && graph.nodes[id].type === 'material') {
+					dynamicAdded = true;
+					queue = queue.concat(_.map(_.filter(graph.nodes, 'dynamic'), 'id'));
+				}
+			}
+
+			return _.keys(visited);
+
+		}
+
+	};
+
+	return graph;
+
+};
+
+
+/**
+ * Call a function for every item (entry without sub-items) in a collection tree
+ * @param  {Object}   collections
+ * @param  {Function} fn
+ */
+var eachItem = function (collections, fn) {
+	_.forEach(collections, function (item) {
+		if (item.items) {
+			eachItem(item.items, fn);
+		} else {
+			fn(item);
+		}
+	});
 };
+
+
+/**
+ * Create an assembler. Each assembler owns its options, its assembly data and an
+ * isolated Handlebars environment, so several builds can run in the same process.
+ * With `options.locales`, it builds each locale with an assembler of its own.
+ * @param  {Object} userOptions
+ * @param  {Object} [localeSettings] The locale to build, for the assembler of a locale: `code`, `lang`, `dir`,
+ * `dest` and `patterns`; its `userOptions` are already merged with the defaults
+ * @return {Object} Assembler with `setup`, `build` and `getAssembly` methods
+ */
+var createAssembler = function (userOptions, localeSettings) {
+
+	/**
+	 * Merged defaults and user options
+	 * @type {Object}
+	 */
+	var options = (localeSettings) ? userOptions : _.merge({}, defaults, userOptions);
+
+
+	/**
+	 * Assembly data storage
+	 * @type {Object}
+	 */
+	var assembly = createAssembly();
+
+
+	/**
+	 * Handlebars environment; partials and helpers are registered here, never globally
+	 * @type {Object}
+	 */
+	var handlebars = Handlebars.create();
+
+
+	/**
+	 * Markdown renderer shared by notes, docs and the markdown helper
+	 * @type {Object}
+	 */
+	var md = createMarkdown(options.markdown);
+
+
+	/**
+	 * Which templates include which partials
+	 * @type {Object}
+	 */
+	var graph = createDependencyGraph();
+
+
+	/**
+	 * Number of materials registered under each short partial name
+	 * @type {Object}
+	 */
+	var materialIdCounts = {};
+
+
+	/**
+	 * Short partial names shared by more than one material; each has `id` and `files`
+	 * @type {Array}
+	 */
+	var collisions = [];
+
+
+	/**
+	 * Data keys defined by more than one data file; each has `key` and `files`
+	 * @type {Array}
+	 */
+	var dataCollisions = [];
+
+
+	/**
+	 * Locale being built: `code`, `lang` (its language tag), `dir`, `dest`, `patterns` and `messages`; `null` without locales
+	 * @type {Object}
+	 */
+	var locale = (localeSettings) ? _.assign({ messages: {} }, localeSettings) : null;
+
+
+	/**
+	 * Assemblers of each locale, keyed by locale code; `null` until locales are built
+	 * @type {Object}
+	 */
+	var localeAssemblers = null;
+
+
+	/**
+	 * Messages of the default locale, which fill in for keys the locale being built is missing
+	 * @type {Object}
+	 */
+	var fallbackMessages = {};
+
+
+	/**
+	 * Translation keys the locale being built is missing
+	 * @type {Array}
+	 */
+	var missingTranslations = [];
+
+
+	/**
+	 * Settings of each collection type, see `getCollectionTypes()`
+	 * @type {Object}
+	 */
+	var collectionTypes = {};
+
+
+	/**
+	 * Material call sites that miss a required prop or pass one of the wrong type
+	 * @type {Array}
+	 */
+	var propProblems = [];
+
+
+	/**
+	 * Files written for each assembled page, keyed by normalized source path; kept between builds
+	 * so files that are no longer written can be deleted
+	 * @type {Object}
+	 */
+	var pages = {};
+
+
+	/**
+	 * Files deleted by this run, because their page no longer writes them
+	 * @type {Array}
+	 */
+	var removedFiles = [];
+
+
+	/**
+	 * Material of each markdown notes file that was read, keyed by normalized path
+	 * @type {Object}
+	 */
+	var materialNotes = {};
+
+
+	/**
+	 * Parsed defaults files, keyed by normalized path; `null` where there is none
+	 * @type {Object}
+	 */
+	var defaultsCache = {};
+
+
+	/**
+	 * Parent of each layout that extends another, keyed by layout name
+	 * @type {Object}
+	 */
+	var layoutParents = {};
+
+
+	/**
+	 * Whether `setup` has run
+	 * @type {Boolean}
+	 */
+	var isSetup = false;
+
+
+	/**
+	 * Handle errors
+	 * @param  {Object} e Error object
+	 * @return {Error} Normalized error with `name`, `message`, `reason`, `phase` and `file`
+	 */
+	var handleError = function (e) {
+
+		// construct error object by combining argument with defaults
+		var error = (e instanceof Error) ? e : _.assign(new Error((e && e.message) || 'An error occurred'), e);
+
+		_.defaults(error, {
+			reason: '',
+			phase: null,
+			file: null
+		});
+
+		// call onError
+		if (_.isFunction(options.onError)) {
+			options.onError(error);
+		}
+
+		// log errors
+		if (options.logErrors) {
+			console.error(chalk.bold.red('Error (fabricator-assemble): ' + error.message + '\n'), error.stack);
+		}
+
+		return error;
+
+	};
+
+
+	/**
+	 * Call a hook of every plugin that has it, in order. Each hook gets the value the previous
+	 * one returned; hooks that return nothing keep the value (they may have changed it in place).
+	 * @param  {String} name  Hook name
+	 * @param  {*}      value Value to pass through the hooks
+	 * @param  {*}      [arg] Extra argument for every hook, e.g. the page
+	 * @return {*} The resulting value
+	 */
+	var runHooks = function (name, value, arg) {
+		return _.reduce(options.plugins, function (result, plugin) {
+
+			if (!plugin || !_.isFunction(plugin[name])) {
+				return result;
+			}
+
+			try {
+				var returned = plugin[name](result, arg);
+				return (_.isUndefined(returned)) ? result : returned;
+			} catch (e) {
+				e.plugin = plugin.name || null;
+				throw e;
+			}
+
+		}, value);
+	};
+
+
+	/**
+	 * Run an `after…` parse hook as its own phase, if any plugin has it
+	 * @param  {String} name    Hook name
+	 * @param  {Object} timings
+	 */
+	var runParseHook = function (name, timings) {
+		if (_.some(options.plugins, function (plugin) {
+			return plugin && _.isFunction(plugin[name]);
+		})) {
+			runPhase(name, function () {
+				runHooks(name, assembly, assembler);
+			}, timings);
+		}
+	};
+
+
+	/**
+	 * Render a page, letting plugins change its context first
+	 * @param  {Function} template Compiled page template
+	 * @param  {Object}   context  Result of `buildContext()`
+	 * @param  {Object}   page     `src`, `dest`, `layout` and `type`
+	 * @return {String} HTML
+	 */
+	var renderPage = function (template, context, page) {
+		return template(runHooks('beforeRender', context, page));
+	};
+
+
+	/**
+	 * Write a page, letting plugins change its HTML first
+	 * @param  {String} html
+	 * @param  {Object} page `src`, `dest`, `layout` and `type`
+	 * @return {Object} The page
+	 */
+	var writePage = function (html, page) {
+		mkdirp.sync(path.dirname(page.dest));
+		fs.writeFileSync(page.dest, runHooks('beforeWrite', html, page));
+		return page;
+	};
+
+	/**
+	 * Build the template context by merging context-specific data with assembly data
+	 * @param  {Object} data
+	 * @return {Object}
+	 */
+	var buildContext = function (data, hash) {
+
+		// set keys to whatever is defined
+		var collections = {};
+		_.forEach(collectionTypes, function (settings, type) {
+			collections[settings.key] = assembly[type];
+		});
+
+		var docs = {};
+		docs[options.keys.docs] = assembly.docs;
+
+		// language and writing direction of the locale being built, for `<html lang dir>`
+		var localeData = (locale) ? { lang: locale.lang, dir: locale.dir } : {};
+
+		return _.assign({}, localeData, data, assembly.data, assembly.materialData, assembly.materialBlocksData, collections, docs, hash);
+
+	};
+
+	/**
+	 * Get the partial names and data key of a material
+	 * @param  {String} file
+	 * @param  {(String|Array)} patterns Globs the file was found with
+	 * @return {Object} `id` (the name the material is registered and tracked under), `shortId`,
+	 * `key`, `path`, `dirs`, `dataKey` (key of its front matter in the template context) and `ambiguous`
+	 */
+	var getMaterialKeys = function (file, patterns) {
+
+		var ids = getMaterialIds(file, patterns);
+		var id = (options.namespaceMaterials) ? ids.path : ids.id;
+
+		return {
+			id: id,
+			shortId: ids.id,
+			key: ids.key,
+			path: ids.path,
+			dirs: ids.dirs,
+			dataKey: id.replace(/[\.\/]/g, '-'),
+			ambiguous: materialIdCounts[ids.id] > 1
+		};
+
+	};
+
+
+	/**
+	 * Whether a file holds front-matter defaults, rather than being a source file itself
+	 * @param  {String} file
+	 * @return {Boolean}
+	 */
+	var isDefaultsFile = function (file) {
+		return path.basename(file) === options.defaultsFile;
+	};
+
+
+	/**
+	 * Glob source files, leaving out defaults files
+	 * @param  {(String|Array)} patterns
+	 * @return {Array}
+	 */
+	var getSourceFiles = function (patterns) {
+		return globby.sync(patterns, { nodir: true, nosort: true }).filter(function (file) {
+			return !isDefaultsFile(file);
+		});
+	};
+
+
+	/**
+	 * Read front matter, with the defaults of every directory from the glob base down to the file merged in.
+	 * Nearer defaults win over farther ones, and the file's own front matter wins over all of them.
+	 * @param  {String} file
+	 * @param  {(String|Array)} patterns Globs the file was found with
+	 * @return {Object} Like `getMatter()`
+	 */
+	var readMatter = function (file, patterns) {
+
+		var fileMatter = getMatter(file);
+		var base = getMatchingGlobBase(file, patterns) || '';
+		var segments = path.posix.dirname(normalizePath(file)).slice(base.length).split('/').filter(Boolean);
+
+		// `base`, `base/a`, `base/a/b`...
+		var dirs = segments.reduce(function (result, segment) {
+			return result.concat(path.posix.join(_.last(result), segment));
+		}, [base]);
+
+		var defaults = dirs.map(function (defaultsDir) {
+
+			var defaultsPath = normalizePath(path.join(defaultsDir, options.defaultsFile));
+
+			if (!_.has(defaultsCache, defaultsPath)) {
+				try {
+					defaultsCache[defaultsPath] = (fs.existsSync(defaultsPath)) ? yaml.safeLoad(fs.readFileSync(defaultsPath, 'utf-8')) || {} : null;
+				} catch (e) {
+					e.file = e.file || defaultsPath;
+					throw e;
+				}
+			}
+
+			return defaultsCache[defaultsPath];
+
+		});
+
+		// arrays are replaced, not merged by index
+		fileMatter.data = _.mergeWith.apply(_, [{}].concat(_.compact(defaults), fileMatter.data, function (value, srcValue) {
+			if (_.isArray(srcValue)) {
+				return srcValue;
+			}
+		}));
+
+		return fileMatter;
+
+	};
+
+
+	/**
+	 * Get the markdown notes file of a material
+	 * @param  {String} file
+	 * @return {String} Normalized path
+	 */
+	var getNotesPath = function (file) {
+		return normalizePath(path.join(path.dirname(file), options.materialNotes.replace('{name}', getName(file, true))));
+	};
+
+
+	/**
+	 * Glob materials, leaving out their markdown notes files
+	 * @param  {(String|Array)} patterns
+	 * @return {Array}
+	 */
+	var getMaterialFiles = function (patterns) {
+
+		var files = getSourceFiles(patterns);
+
+		// notes files of other materials (a material can't be its own notes)
+		var notesFiles = _.keyBy(files.map(getNotesPath).filter(function (notesPath, index) {
+			return notesPath !== normalizePath(files[index]);
+		}));
+
+		return files.filter(function (file) {
+			return !notesFiles[normalizePath(file)];
+		});
+
+	};
+
+
+	/**
+	 * Get a material's notes: front-matter `notes` followed by its markdown notes file
+	 * @param  {String} file
+	 * @param  {Object} fileMatter Result of `getMatter()`
+	 * @return {Object} Rendered `notes` and `sections`, see `getSections()`
+	 */
+	var getNotes = function (file, fileMatter) {
+
+		var notesPath = getNotesPath(file);
+		var source = fileMatter.data.notes || '';
+
+		if (notesPath !== normalizePath(file) && fs.existsSync(notesPath)) {
+			materialNotes[notesPath] = normalizePath(file);
+			source = _.compact([source, fs.readFileSync(notesPath, 'utf-8')]).join('\n\n');
+		}
+
+		return {
+			notes: (source) ? md.render(source) : '',
+			sections: getSections(md, source)
+		};
+
+	};
+
+
+	/**
+	 * Compile a material into a partial that has its own front-matter data in scope, at every
+	 * depth and in every expression form (paths, helper arguments, sub-expressions, blocks).
+	 * Local data overrides the including template's context; a `variant` hash argument
+	 * overrides local data; the rest of the hash overrides both.
+	 * @param  {String} content
+	 * @param  {Object} localData
+	 * @param  {Object} [variants] Data overrides, keyed by variant name
+	 * @return {Function} Partial; the compiled `template`, local `data` and `variants` are exposed for the material helper
+	 */
+	var createMaterialPartial = function (content, localData, variants) {
+
+		var template = handlebars.compile(content);
+
+		var partial = function (context, opts) {
+
+			// a primitive context (`{{> foo 'bar'}}`) can't carry local data
+			if (!_.isPlainObject(context)) {
+				return template(context, opts);
+			}
+
+			var hash = (opts && opts.hash) || {};
+			var variant = getVariantData(partial, opts && opts.name, hash.variant);
+
+			// Handlebars merges the hash into the context; don't leak `variant` into the material
+			if (hash.variant) {
+				context = _.omit(context, 'variant');
+			}
+
+			return template(_.assign({}, context, localData, variant, _.omit(hash, 'variant')), opts);
+
+		};
+
+		partial.template = template;
+		partial.data = localData;
+		partial.variants = variants || {};
+
+		return partial;
+
+	};
+
+
+	/**
+	 * Render a material the way the material helper does
+	 * @param  {String} name    Material name; number prefixes are ignored
+	 * @param  {Object} context
+	 * @param  {Object} hash    Hash arguments, optionally with a `variant` name
+	 * @param  {Object} [data]  Data frame of the caller; keeps `@root` (and so `{{url}}`) that of the page
+	 * @return {String} Beautified HTML
+	 */
+	var renderMaterial = function (name, context, hash, data) {
+
+		// remove leading numbers from name keyword
+		var key = toPartialName(name);
+
+		// attempt to find pre-compiled partial
+		var partial = handlebars.partials[key],
+			fn;
+
+		if (!partial) {
+			throw new Error('The material "' + name + '" could not be found');
+		}
+
+		// compile partial if not already compiled
+		if (partial.template) {
+			fn = partial.template;
+		} else if (!_.isFunction(partial)) {
+			fn = handlebars.compile(partial);
+		} else {
+			fn = partial;
+		}
+
+		hash = hash || {};
+
+		// local front-matter data is overridden by the variant, then by the given context, then by the hash
+		var scope = _.assign(buildContext(context), partial.data, getVariantData(partial, name, hash.variant), context, _.omit(hash, 'variant'));
+
+		// slots of a surrounding block material don't belong to this one
+		var frame = handlebars.createFrame(data || {});
+		delete frame.slots;
+
+		// return beautified html with trailing whitespace removed
+		return beautifyHtml(fn(scope, { data: frame }).replace(/^\s+/, ''), options.beautifier);
+
+	};
+
+
+	/**
+	 * Get the variants of a material from its front matter
+	 * @param  {Object} fileMatter Result of `getMatter()`
+	 * @return {Object} Data overrides (without `notes`), keyed by variant name
+	 */
+	var getVariants = function (fileMatter) {
+		return _.mapValues(fileMatter.data.variants || {}, function (variant) {
+			return _.omit(variant, 'notes');
+		});
+	};
+
+
+	/**
+	 * Get the data a material renders with: its front matter, over the defaults of its props
+	 * @param  {Object} fileMatter Result of `getMatter()`
+	 * @return {Object} Front matter without `notes`, `variants` and `props`
+	 */
+	var getLocalData = function (fileMatter) {
+		return _.assign(getPropDefaults(getPropsSchema(fileMatter.data.props)), _.omit(fileMatter.data, ['notes', 'variants', 'props']));
+	};
+
+
+	/**
+	 * Find short material names shared by more than one material, before any is registered
+	 * @param  {Array} files Material files
+	 */
+	var findCollisions = function (files) {
+
+		var shortIds = files.map(function (file) {
+			return getMaterialIds(file, collectionTypes.materialPartials.src).id;
+		});
+
+		materialIdCounts = _.countBy(shortIds);
+		collisions = _.keys(_.pickBy(materialIdCounts, function (count) {
+			return count > 1;
+		})).map(function (id) {
+			return {
+				id: id,
+				files: files.filter(function (file, index) {
+					return shortIds[index] === id;
+				})
+			};
+		});
+
+	};
+
+
+	/**
+	 * Get the notes, local data and props of a material
+	 * @param  {String} file
+	 * @param  {Object} fileMatter Result of `readMatter()`
+	 * @return {Object} Item fields
+	 */
+	var getMaterialPartialItem = function (file, fileMatter) {
+
+		var notes = getNotes(file, fileMatter);
+
+		return {
+			notes: notes.notes,
+			sections: notes.sections,
+			data: getLocalData(fileMatter),
+			props: getPropsSchema(fileMatter.data.props)
+		};
+
+	};
+
+
+	/**
+	 * Register a material as a partial that renders with its local front-matter data in scope
+	 * @param  {String} file
+	 * @param  {Object} fileMatter Result of `readMatter()`
+	 * @param  {Object} keys       Result of `getMaterialKeys()`
+	 * @param  {Object} item       Result of `getMaterialPartialItem()`
+	 * @return {Object} Dependency graph node properties
+	 */
+	var registerMaterial = function (file, fileMatter, keys, item) {
+
+		// store material-name-spaced local data in template context
+		assembly.materialData[keys.dataKey] = item.data;
+
+		var partial = createMaterialPartial(trimContent(fileMatter.content), item.data, getVariants(fileMatter));
+		handlebars.registerPartial(keys.id, partial);
+
+		// namespaced materials keep their short name when it is unambiguous
+		var aliases = (options.namespaceMaterials && !keys.ambiguous) ? [keys.shortId] : [];
+
+		aliases.forEach(function (alias) {
+			handlebars.registerPartial(alias, partial);
+			assembly.materialData[alias.replace(/\./g, '-')] = item.data;
+		});
+
+		return { dataKey: keys.dataKey, aliases: aliases, data: item.data, variants: partial.variants, props: item.props };
+
+	};
+
+
+	/**
+	 * Turn a code sample into HTML that can be put in a `<pre><code>` as is
+	 * @param  {String} code
+	 * @param  {String} lang `handlebars` or `html`
+	 * @return {String}
+	 */
+	var escapeCode = function (code, lang) {
+		return (options.highlight) ? options.highlight(code, lang) : replaceHtmlSpecialChars(code);
+	};
+
+
+	/**
+	 * Get the preview page location of a material or variant, relative to `dest`
+	 * @param  {String} materialPath Collection path, see `getMaterialIds()`
+	 * @param  {String} [variant]
+	 * @example
+	 * ('components/button') -> 'preview/components/button.html'
+	 * ('components/button', 'disabled') -> 'preview/components/button--disabled.html'
+	 * @return {String} URL, or `null` if previews are disabled
+	 */
+	var getPreviewPath = function (materialPath, variant) {
+
+		if (!options.previews) {
+			return null;
+		}
+
+		return [options.previewDest, materialPath + ((variant) ? '--' + variant : '') + '.html'].join('/');
+
+	};
+
+
+	/**
+	 * Render a material by id while parsing, if it's registered as a partial.
+	 * Some materials only render inside a page (e.g. they rely on page data or helpers); they get
+	 * no markup here, and fail where they're included instead (or in `validate()`, in strict mode).
+	 * @param  {String} id
+	 * @param  {String} [variant]
+	 * @return {String} Beautified HTML, or `null`
+	 */
+	var renderParsedMaterial = function (id, variant) {
+
+		if (!handlebars.partials[id]) {
+			return null;
+		}
+
+		try {
+			return renderMaterial(id, null, { variant: variant });
+		} catch (e) {
+			return null;
+		}
+
+	};
+
+
+	/**
+	 * Expand a material's `variants` front matter into items with their own notes and rendered markup
+	 * @param  {Object} keys       Result of `getMaterialKeys()`
+	 * @param  {Object} fileMatter Result of `getMatter()`
+	 * @return {Object} Variant items, keyed by variant name
+	 */
+	var parseVariants = function (keys, fileMatter) {
+
+		var variants = getVariants(fileMatter);
+
+		return _.mapValues(fileMatter.data.variants || {}, function (variant, key) {
+
+			var markup = renderParsedMaterial(keys.id, key);
+
+			return {
+				name: toTitleCase(key),
+				variant: key,
+				notes: (variant.notes) ? md.render(variant.notes) : '',
+				data: variants[key],
+				markup: markup,
+				preview: getPreviewPath(keys.path, key)
+			};
+
+		});
+
+	};
+
+
+	/**
+	 * Get the notes, local data, props, code samples and variants of a material
+	 * @param  {String} file
+	 * @param  {Object} fileMatter Result of `readMatter()`
+	 * @param  {Object} keys       Result of `getMaterialKeys()`
+	 * @return {Object} Item fields
+	 */
+	var getMaterialItem = function (file, fileMatter, keys) {
+
+		// code samples
+		var source = _.trim(fileMatter.content),
+			html = renderParsedMaterial(keys.id);
+
+		return _.assign(getMaterialPartialItem(file, fileMatter), {
+			source: source,
+			html: html,
+			escapedSource: escapeCode(source, 'handlebars'),
+			escapedHtml: (html === null) ? null : escapeCode(html, 'html'),
+			variants: parseVariants(keys, fileMatter),
+			preview: getPreviewPath(keys.path)
+		});
+
+	};
+
+
+
+	/**
+	 * Get the collection directories, key and path of a doc
+	 * @param  {String} file
+	 * @example
+	 * 'src/docs/02-guides/01-setup.md' -> { dirs: ['02-guides'], key: '01-setup', path: 'guides/setup' }
+	 * @return {Object}
+	 */
+	var getDocKeys = function (file) {
+
+		var dirs = getCollectionDirs(file, options.docs, true);
+
+		return {
+			dirs: dirs,
+			key: getName(file, true),
+			path: dirs.map(function (dir) {
+				return getName(dir);
+			}).concat(getName(file)).join('/')
+		};
+
+	};
+
+
+	/**
+	 * Parse markdown files as "docs"
+	 */
+	var parseDocs = function () {
+
+		// reset
+		assembly.docs = {};
+
+		// get files
+		var files = globby.sync(options.docs, { nodir: true, nosort: true });
+
+		// iterate over each file (doc)
+		files.forEach(function (file) {
+
+			var fileMatter = getMatter(file);
+			var keys = getDocKeys(file);
+			var rendered = renderWithAnchors(md, fileMatter.content);
+
+			// a doc in a subdirectory is part of a collection, like materials
+			addToTree(assembly.docs, keys.dirs, keys.key, {
+				id: keys.path,
+				name: fileMatter.data.title || toTitleCase(getName(file)),
+				file: normalizePath(file),
+				path: getBreadcrumbs(keys.dirs),
+				data: fileMatter.data,
+				content: rendered.content,
+				toc: rendered.toc,
+				url: (options.docPages) ? [options.docsDest, keys.path + '.html'].join('/') : null
+			});
+
+		});
+
+		// sort docs by key, so number prefixes set the order
+		assembly.docs = sortTree(assembly.docs);
+
+	};
+
+
+	/**
+	 * Parse layout files
+	 */
+	var parseLayouts = function () {
+
+		// reset
+		assembly.layouts = {};
+		layoutParents = {};
+		graph.removeNodes('layout');
+
+		// get files
+		var files = globby.sync(options.layouts, { nodir: true });
+
+		// save content of each file
+		files.forEach(function (file) {
+
+			var id = getName(file);
+			var fileMatter = getMatter(file);
+
+			assembly.layouts[id] = fileMatter.content;
+
+			// a layout can extend another, given as `parent` in its front matter
+			if (fileMatter.data.parent) {
+				layoutParents[id] = fileMatter.data.parent;
+			}
+
+			addDependencyNode({
+				id: normalizePath(file),
+				type: 'layout',
+				file: file,
+				name: id,
+				layout: fileMatter.data.parent,
+				layoutLine: getFrontMatterLine(fileMatter, 'parent')
+			}, fileMatter.content, getContentOffset(fileMatter));
+
+		});
+
+	};
+
+
+	/**
+	 * Insert a page into a layout, then into each layout it extends. Regions are filled from the
+	 * page's `{% content %}` blocks first, then from those of each layout on the way up.
+	 * @param  {String} page
+	 * @param  {String} name Layout name
+	 * @return {String} Template source
+	 */
+	var wrapInLayout = function (page, name) {
+
+		var parsed = extractRegions(page);
+		var body = parsed.body;
+		var regions = parsed.regions;
+		var seen = [];
+
+		while (name) {
+
+			if (!_.has(assembly.layouts, name)) {
+				throw new Error('The layout "' + name + '" could not be found');
+			}
+
+			if (_.includes(seen, name)) {
+				throw new Error('The layout "' + name + '" extends itself');
+			}
+
+			seen.push(name);
+
+			var layout = extractRegions(assembly.layouts[name]);
+
+			body = fillLayout(layout.body, body, regions);
+
+			// content nearer to the page wins
+			regions = _.assign({}, layout.regions, regions);
+
+			name = layoutParents[name];
+
+		}
+
+		return body;
+
+	};
+
+
+	/**
+	 * Remove the dependency graph nodes of a type along with the partials they were registered as,
+	 * so partials of deleted files are gone after re-parsing
+	 * @param  {String} type Node type
+	 */
+	var removePartialNodes = function (type) {
+		graph.removeNodes(type).forEach(function (node) {
+			[node.id].concat(node.aliases).forEach(function (id) {
+				handlebars.unregisterPartial(id);
+			});
+		});
+	};
+
+
+	/**
+	 * Register layout includes has Handlebars partials
+	 */
+	var parseLayoutIncludes = function () {
+
+		removePartialNodes('layoutInclude');
+
+		// get files
+		var files = globby.sync(options.layoutIncludes, { nodir: true });
+
+		// save content of each file
+		files.forEach(function (file) {
+			var id = getName(file);
+			var content = fs.readFileSync(file, 'utf-8');
+			handlebars.registerPartial(id, content);
+			addDependencyNode({ id: id, type: 'layoutInclude', file: file }, content);
+		});
+
+	};
+
+
+	/**
+	 * Parse data files; files in subdirectories are nested by directory, e.g. `data/pages/home.yml` -> `pages.home`
+	 */
+	var parseData = function () {
+
+		// reset
+		assembly.data = {};
+		dataCollisions = [];
+
+		// get files
+		var files = globby.sync(options.data, { nodir: true });
+
+		// file of each key path
+		var keys = {};
+
+		// save content of each file
+		files.forEach(function (file) {
+
+			var keyPath = getCollectionDirs(file, options.data, true).map(function (dir) {
+				return getName(dir);
+			}).concat(getName(file));
+
+			var key = keyPath.join('.');
+
+			// the same key, or a file and a directory with the same name
+			_.forEach(keys, function (otherFile, otherKey) {
+				if (key === otherKey || _.startsWith(key, otherKey + '.') || _.startsWith(otherKey, key + '.')) {
+					dataCollisions.push({
+						key: (key.length < otherKey.length) ? key : otherKey,
+						files: [otherFile, normalizePath(file)]
+					});
+				}
+			});
+
+			keys[key] = normalizePath(file);
+
+			try {
+				_.set(assembly.data, keyPath, readData(file));
+			} catch (e) {
+				e.file = e.file || file;
+				throw e;
+			}
+
+		});
+
+	};
+
+
+	/**
+	 * Register an item of a collection type as a partial, if the type says so
+	 * @param  {String} file
+	 * @param  {Object} fileMatter Result of `readMatter()`
+	 * @param  {Object} keys       Result of `getCollectionKeys()`
+	 * @param  {Object} item
+	 * @param  {Object} settings   Collection type settings
+	 */
+	var registerItem = function (file, fileMatter, keys, item, settings) {
+		if (settings.partials) {
+			handlebars.registerPartial(keys.id, trimContent(fileMatter.content));
+		}
+	};
+
+
+	/**
+	 * Get the settings of every collection type: the built-in presets, then `options.collections`.
+	 * Presets can also set `nodeType` (dependency graph node and page type), `getFiles`, `getKeys`,
+	 * `prepare` (called with all files first), `item` (extra item fields) and `register`.
+	 * @return {Object} Settings, keyed by type name
+	 */
+	var getCollectionTypes = function () {
+
+		var presets = {
+			materialPartials: {
+				src: options.materialPartials,
+				key: options.keys.materialPartials,
+				nodeType: 'material',
+				partials: true,
+				getFiles: getMaterialFiles,
+				getKeys: getMaterialKeys,
+				prepare: findCollisions,
+				item: getMaterialPartialItem,
+				register: registerMaterial
+			},
+			materials: {
+				src: options.materials,
+				key: options.keys.materials,
+				nodeType: null,
+				getFiles: getMaterialFiles,
+				getKeys: getMaterialKeys,
+				item: getMaterialItem,
+				register: function (file, fileMatter, keys, item) {
+					assembly.materialData[keys.dataKey] = item.data;
+				}
+			},
+			views: {
+				src: options.views,
+				key: options.keys.views,
+				nodeType: 'view',
+				nested: false,
+				sort: false,
+				pages: { layout: options.layout },
+				item: function (file) {
+					return { name: toTitleCase(getName(file, true)) };
+				}
+			},
+			materialBlocks: {
+				src: options.materialBlocks,
+				key: options.keys.materialBlocks,
+				nodeType: 'materialBlock',
+				nested: false,
+				sort: false,
+				pages: { layout: options.blocksLayout, markup: 'block-markup' },
+				item: function (file, fileMatter) {
+					return {
+						name: toTitleCase(getName(file, true)),
+						data: _.assign(_.omit(fileMatter.data, 'notes'), { fabricator: true })
+					};
+				}
+			}
+		};
+
+		var types = {};
+
+		_.forEach(_.assign({}, presets, options.collections), function (custom, type) {
+
+			// these would overwrite parts of the assembly, or other changes in `update()`
+			if (_.includes(['layouts', 'layoutIncludes', 'data', 'docs', 'materialData', 'materialBlocksData'], type)) {
+				throw new Error('The collection type "' + type + '" is reserved');
+			}
+
+			var settings = _.assign({
+				key: type,
+				nodeType: type,
+				partials: false,
+				nested: true,
+				sort: true,
+				pages: false,
+				getFiles: getSourceFiles,
+				item: function (file, fileMatter) {
+					return { content: trimContent(fileMatter.content) };
+				},
+				register: registerItem
+			}, presets[type], options.collections[type]);
+
+			if (settings.pages) {
+				settings.pages = _.assign({ layout: options.layout, dest: '' }, (settings.pages === true) ? {} : settings.pages);
+			}
+
+			settings.getKeys = settings.getKeys || function (file, patterns) {
+				return getCollectionKeys(file, patterns, settings.nested);
+			};
+
+			types[type] = settings;
+
+		});
+
+		return types;
+
+	};
+
+
+	/**
+	 * Get the collection types that aren't built in
+	 * @return {Array} Type names
+	 */
+	var getCustomTypes = function () {
+		return _.difference(_.keys(collectionTypes), ['materialPartials', 'materials', 'views', 'materialBlocks']);
+	};
+
+
+	/**
+	 * Parse the files of a collection type into a tree of items. Each item is then registered as the
+	 * type's settings say: as a partial, as a dependency graph node and as a page.
+	 * @param  {String} type Type name, see `getCollectionTypes()`
+	 */
+	var parseCollection = function (type) {
+
+		var settings = collectionTypes[type];
+		var tree = {};
+
+		if (settings.nodeType && settings.partials) {
+			removePartialNodes(settings.nodeType);
+		} else if (settings.nodeType) {
+			graph.removeNodes(settings.nodeType);
+		}
+
+		// get files
+		var files = settings.getFiles(settings.src);
+
+		if (settings.prepare) {
+			settings.prepare(files);
+		}
+
+		files.forEach(function (file) {
+
+			var fileMatter = readMatter(file, settings.src);
+			var keys = settings.getKeys(file, settings.src);
+
+			var item = _.assign({
+				id: keys.id,
+				name: toTitleCase(getName(file)),
+				file: normalizePath(file),
+				path: getBreadcrumbs(keys.dirs),
+				data: _.omit(fileMatter.data, 'notes')
+			}, settings.item(file, fileMatter, keys));
+
+			// flat collections leave out files at the root of the glob
+			if (keys.dirs.length) {
+				addToTree(tree, keys.dirs, keys.key, item);
+			}
+
+			var node = settings.register(file, fileMatter, keys, item, settings);
+
+			if (!settings.nodeType) {
+				return;
+			}
+
+			var pageData = (settings.pages) ? getPageData(file, fileMatter, settings) : null;
+
+			// the first of the pages generated from data stands in for all of them when validating
+			var firstPage = (pageData && pageData.paginate) ? paginate(file, pageData, getPagePath(file, pageData, settings))[0] : null;
+
+			// pages are tracked by file, partials by name; a page that is also a partial has its name as alias
+			addDependencyNode(_.assign({
+				id: (settings.pages) ? normalizePath(file) : keys.id,
+				type: settings.nodeType,
+				file: file,
+				aliases: (settings.pages && settings.partials) ? [keys.id] : []
+			}, (settings.pages) ? {
+				data: _.assign(pageData, firstPage && firstPage.data),
+				layout: getPageLayout(fileMatter, settings),
+				layoutLine: (settings.pages.markup) ? null : getFrontMatterLine(fileMatter, 'layout')
+			} : {}, node), fileMatter.content, getContentOffset(fileMatter));
+
+		});
+
+		// sort items alphabetically, i.e. by number prefix
+		assembly[type] = (settings.sort) ? sortTree(tree) : tree;
+
+	};
+
+
+	/**
+	 * Parse a collection type as its own phase, e.g. `parseViews`
+	 * @param  {String} type
+	 * @param  {Object} timings
+	 */
+	var runParsePhase = function (type, timings) {
+		runPhase('parse' + _.upperFirst(type), function () {
+			parseCollection(type);
+		}, timings);
+	};
+
+
+
+	/**
+	 * Parse a template's references and add it to the dependency graph
+	 * @param  {Object} node     `id`, `type` and `file`, plus any extra node properties
+	 * @param  {String} source   Template source
+	 * @param  {Number} [offset] Lines preceding `source` in the file (front matter)
+	 */
+	var addDependencyNode = function (node, source, offset) {
+
+		var refs;
+
+		try {
+			refs = getReferences(source, inflect.singularize(options.keys.materials));
+		} catch (e) {
+			e.file = e.file || node.file;
+			throw e;
+		}
+
+		// templates that list materials depend on all of them
+		var listsMaterials = _.some([options.keys.materials, options.keys.materialPartials], function (key) {
+			return _.includes(refs.paths, key);
+		});
+
+		graph.addNode(_.assign({}, node, {
+			file: normalizePath(node.file),
+			partials: refs.partials,
+			paths: refs.paths,
+			dynamic: refs.dynamic || listsMaterials,
+			references: refs.references.map(function (ref) {
+				return _.assign({}, ref, { line: ref.line + (offset || 0) });
+			})
+		}));
+
+	};
+
+
+	/**
+	 * Resolve the dependency graph and expose `uses` and `usedBy` on each material
+	 */
+	var linkDependencies = function () {
+
+		graph.link();
+
+		[assembly.materials, assembly.materialPartials].forEach(function (collections) {
+			eachItem(collections, function (item) {
+				var node = graph.nodes[item.id];
+				item.uses = (node) ? node.uses.slice() : [];
+				item.usedBy = (node) ? node.usedBy.slice() : [];
+			});
+		});
+
+	};
+
+
+	/**
+	 * Check the props given at every material call site against the material's `props` schema.
+	 * A prop counts as given by the hash, the variant, the context or the material's own data,
+	 * in the order the material helper and partials apply them. Values that are only known at
+	 * render time (e.g. inside `each`, or in a material called with an unknown context) are skipped.
+	 */
+	var checkProps = function () {
+
+		propProblems = [];
+
+		// stands in for a value that is given, but only known at render time
+		var unknown = {};
+
+		var addProblem = function (node, ref, name, message) {
+			propProblems.push({
+				type: 'prop',
+				name: name,
+				material: ref.name,
+				file: node.file,
+				line: ref.line,
+				column: ref.column,
+				message: message
+			});
+		};
+
+		// the topmost layer that has the prop gives it; `null` layers may give anything
+		var getProp = function (layers, name) {
+			for (var i = layers.length - 1; i >= 0; i--) {
+				if (layers[i] === null) {
+					return unknown;
+				}
+				if (_.has(layers[i], name)) {
+					return layers[i][name];
+				}
+			}
+		};
+
+		_.forEach(graph.nodes, function (node) {
+
+			// the caller's context is only known at the root scope of pages
+			var isPage = _.some(collectionTypes, function (settings) {
+				return settings.pages && settings.nodeType === node.type;
+			});
+			var callerContext = (isPage) ? buildContext(node.data) : null;
+
+			node.references.forEach(function (ref) {
+
+				if (!_.includes(['partial', 'partialBlock', 'material'], ref.type)) {
+					return;
+				}
+
+				var material = graph.nodes[graph.resolve(ref.name)];
+
+				if (!material || material.type !== 'material' || !material.props || !material.props.length) {
+					return;
+				}
+
+				var known = (ref.root) ? callerContext : null;
+
+				var resolve = function (parts) {
+					return (known) ? _.get(known, parts) : unknown;
+				};
+
+				// context argument
+				var context = null;
+				if (ref.context === 'none') {
+					context = (ref.type === 'material') ? {} : known;
+				} else if (ref.context === 'page') {
+					context = known;
+				} else if (ref.contextParts && known) {
+					context = _.isPlainObject(resolve(ref.contextParts)) ? resolve(ref.contextParts) : null;
+				}
+
+				// hash arguments
+				var hash = _.mapValues(_.omit(ref.args, 'variant'), function (arg) {
+					return (arg.literal) ? arg.value : (arg.parts) ? resolve(arg.parts) : unknown;
+				});
+
+				var variant = {};
+				if (ref.args.variant) {
+					variant = (ref.args.variant.literal) ? material.variants[ref.args.variant.value] || {} : null;
+				}
+
+				// see `renderMaterial()` and `createMaterialPartial()`
+				var layers = (ref.type === 'material') ?
+					[(context) ? buildContext(context) : null, material.data, variant, context, hash] :
+					[context, material.data, variant, hash];
+
+				material.props.forEach(function (prop) {
+
+					var value = getProp(layers, prop.name);
+
+					if (value === unknown) {
+						return;
+					}
+
+					if (_.isUndefined(value)) {
+						if (prop.required) {
+							addProblem(node, ref, prop.name, 'Missing required prop "' + prop.name + '" of material "' + ref.name + '"');
+						}
+						return;
+					}
+
+					if (!matchesPropType(value, prop.type)) {
+						addProblem(node, ref, prop.name, 'Prop "' + prop.name + '" of material "' + ref.name + '" should be ' + prop.type.split('|').map(_.trim).join(' or ') + ', not ' + getValueType(value));
+					}
+
+				});
+
+			});
+
+		});
+
+	};
+
+
+	/**
+	 * Check every view, material block and material for missing partials, missing layouts
+	 * and undefined data paths. Throws one error listing all problems.
+	 */
+	var validate = function () {
+
+		var problems = [];
+
+		var addProblem = function (node, ref, type, message) {
+			problems.push({
+				type: type,
+				name: ref.name,
+				file: node.file,
+				line: ref.line,
+				column: ref.column,
+				message: message
+			});
+		};
+
+		var hasPartial = function (node, name) {
+			return !!handlebars.partials[name] || _.some(node.references, { type: 'inline', name: name });
+		};
+
+		// without namespacing, colliding materials silently overwrite each other
+		if (!options.namespaceMaterials) {
+			collisions.forEach(function (collision) {
+				collision.files.slice(1).forEach(function (file) {
+					addProblem({ file: normalizePath(file) }, { name: collision.id, line: null, column: null }, 'collision', 'Material "' + collision.id + '" collides with ' + normalizePath(collision.files[0]));
+				});
+			});
+		}
+
+		// data files that overwrite each other
+		dataCollisions.forEach(function (collision) {
+			addProblem({ file: collision.files[1] }, { name: collision.key, line: null, column: null }, 'duplicate', 'Data "' + collision.key + '" is also defined by ' + collision.files[0]);
+		});
+
+		var isDefined = function (contexts, parts) {
+			return _.some(contexts, function (context) {
+				return _.has(context, parts);
+			});
+		};
+
+		// contexts each material can be rendered with: its own data, and the context at each call site
+		var materialContexts = {};
+		var opaque = {};
+
+		_.forEach(graph.nodes, function (node) {
+			if (node.type === 'material') {
+				materialContexts[node.id] = [buildContext(node.data)].concat(_.map(node.variants, function (variant) {
+					return buildContext(_.assign({}, node.data, variant));
+				}));
+
+				// declared props are checked at each call site instead
+				materialContexts[node.id].push(_.fromPairs(_.map(node.props, function (prop) {
+					return [prop.name, true];
+				})));
+			}
+		});
+
+		_.forEach(graph.nodes, function (node) {
+
+			if (!node.data) {
+				return;
+			}
+
+			var callerContext = buildContext(node.data);
+
+			node.references.forEach(function (ref) {
+
+				if (ref.type === 'dynamicMaterial') {
+					_.forEach(materialContexts, function (contexts, id) {
+						if (ref.context === 'page' || ref.context === 'none') {
+							contexts.push(callerContext);
+						} else {
+							opaque[id] = true;
+						}
+					});
+				}
+
+				var id = graph.resolve(ref.name);
+
+				if (!materialContexts[id] || !_.includes(['partial', 'partialBlock', 'material'], ref.type)) {
+					return;
+				}
+
+				var hash = _.fromPairs(ref.hash.map(function (key) {
+					return [key, true];
+				}));
+
+				if (ref.context === 'opaque') {
+					opaque[id] = true;
+				} else if (ref.type === 'material' && ref.context === 'none') {
+					materialContexts[id].push(buildContext(null, hash));
+				} else {
+					materialContexts[id].push(_.assign({}, callerContext, hash));
+				}
+
+			});
+
+		});
+
+		_.forEach(graph.nodes, function (node) {
+
+			// missing layouts
+			if (node.layout && !assembly.layouts[node.layout]) {
+				addProblem(node, { name: node.layout, line: node.layoutLine, column: null }, 'layout', 'Missing layout "' + node.layout + '"');
+			}
+
+			node.references.forEach(function (ref) {
+
+				// missing partials and materials
+				if ((ref.type === 'partial' || ref.type === 'material') && !hasPartial(node, ref.name)) {
+
+					var collision = _.find(collisions, { id: ref.name });
+
+					addProblem(node, ref, 'partial', (collision) ? 'Ambiguous partial "' + ref.name + '" matches ' + collision.files.map(normalizePath).join(', ') : 'Missing partial "' + ref.name + '"');
+
+				}
+
+				// undefined data paths; layouts and layout includes are checked through their partials only
+				if (ref.type !== 'path' || !node.data || (ref.ambiguous && handlebars.helpers[ref.name])) {
+					return;
+				}
+
+				// slots are given by block materials at render time
+				if (node.type === 'material' && ref.parts[0] === 'slots') {
+					return;
+				}
+
+				var contexts = (node.type === 'material') ? materialContexts[node.id] : [buildContext(node.data)];
+
+				if (!opaque[node.id] && !isDefined(contexts, ref.parts)) {
+					addProblem(node, ref, 'data', 'Undefined data path "' + ref.name + '"');
+				}
+
+			});
+
+		});
+
+		// material call sites that don't match the material's props
+		problems = problems.concat(propProblems);
+
+		problems = _.uniqBy(problems, function (problem) {
+			return [problem.file, problem.line, problem.column, problem.type, problem.name].join(':');
+		});
+
+		if (problems.length) {
+			var error = new Error('Strict mode found ' + problems.length + ' problem(s):\n' + problems.map(function (problem) {
+				return '  ' + _.reject([problem.file, problem.line, problem.column], _.isNull).join(':') + ' ' + problem.message;
+			}).join('\n'));
+			error.reason = 'strict';
+			error.problems = problems;
+			throw error;
+		}
+
+	};
+
+
+	/**
+	 * Render the block of a block material, collecting its named slots
+	 * @param  {Object} context The block's context
+	 * @param  {Object} opts    Helper options
+	 * @return {Object} Slot HTML by name; the block itself is `default`, if not blank
+	 */
+	var renderSlots = function (context, opts) {
+
+		// `slot` helpers in the block write to the frame
+		var data = handlebars.createFrame(opts.data || {});
+		data.slots = {};
+
+		var body = opts.fn(context, { data: data });
+
+		var slots = _.mapValues(data.slots, function (html) {
+			return new handlebars.SafeString(html);
+		});
+
+		if (/\S/.test(body)) {
+			slots['default'] = new handlebars.SafeString(body);
+		}
+
+		return slots;
+
+	};
+
+
+	/**
+	 * Read and merge message files
+	 * @param  {(String|Array)} patterns
+	 * @return {Object}
+	 */
+	var readMessages = function (patterns) {
+		return _.reduce(globby.sync(patterns || [], { nodir: true }), function (messages, file) {
+			try {
+				return _.merge(messages, readData(file));
+			} catch (e) {
+				e.file = e.file || file;
+				throw e;
+			}
+		}, {});
+	};
+
+
+	/**
+	 * Get the code of the default locale
+	 * @return {String}
+	 */
+	var getDefaultLocale = function () {
+		return options.defaultLocale || _.keys(options.locales)[0];
+	};
+
+
+	/**
+	 * Read the messages of the locale being built, and of the default locale
+	 */
+	var parseMessages = function () {
+
+		var defaultLocale = getDefaultLocale();
+
+		if (!options.locales[defaultLocale]) {
+			throw new Error('The default locale "' + defaultLocale + '" is not one of the locales');
+		}
+
+		locale.messages = readMessages(locale.patterns);
+		fallbackMessages = (locale.code === defaultLocale) ? {} : readMessages(options.locales[defaultLocale].messages);
+
+	};
+
+
+	/**
+	 * Translate a message key into the locale being built; keys it is missing are recorded, and
+	 * filled in from the default locale
+	 * @param  {String} key    Path in the messages, e.g. `nav.home`
+	 * @param  {Object} values Placeholder values; `count` also picks the plural form
+	 * @return {String} The message, or the key if no locale has it
+	 */
+	var translate = function (key, values) {
+
+		var message = _.get((locale) ? locale.messages : {}, key);
+
+		if (_.isUndefined(message) && locale) {
+			missingTranslations = _.union(missingTranslations, [key]).sort();
+			message = _.get(fallbackMessages, key);
+		}
+
+		if (_.isUndefined(message)) {
+			return key;
+		}
+
+		return interpolate(pluralize(message, values.count, (locale) ? locale.lang : 'en'), values);
+
+	};
+
+
+	/**
+	 * Register new Handlebars helpers
+	 */
+	var registerHelpers = function () {
+
+		// get helper files
+		var resolveHelper = path.join.bind(null, __dirname, 'helpers');
+		var localHelpers = fs.readdirSync(resolveHelper());
+		var userHelpers = options.helpers;
+
+
+
+		// register local helpers
+		localHelpers.map(function (helper) {
+			var key = helper.match(/(^\w+?-)(.+)(\.\w+)/)[2];
+			var path = resolveHelper(helper);
+			handlebars.registerHelper(key, require(path));
+		});
+
+
+		/**
+		 * `markdown`
+		 * @description Render markdown with the shared markdown-it instance
+		 * @example
+		 * {{#markdown}}# Heading{{/markdown}}
+		 * {{markdown notes}}
+		 */
+		handlebars.registerHelper('markdown', function (content, opts) {
+
+			// block form
+			if (arguments.length < 2) {
+				opts = content;
+				content = opts.fn(this);
+			}
+
+			return new handlebars.SafeString(md.render(stripIndent(String(content || ''))));
+
+		});
+
+
+		/**
+		 * `t`
+		 * @description Translate a message into the locale being built. Hash arguments fill in
+		 * `{name}` placeholders in the message; `count` also picks its plural form.
+		 * @example
+		 * {{t 'nav.home'}}
+		 * {{t 'cart.items' count=cart.length}}
+		 */
+		handlebars.registerHelper('t', function (key, opts) {
+			return translate(key, opts.hash);
+		});
+
+
+		/**
+		 * `url`
+		 * @description Link to a path relative to `dest` from the page being rendered
+		 * @example
+		 * {{url 'assets/styles/main.css'}}
+		 */
+		handlebars.registerHelper('url', function (target, opts) {
+			// outside of a page, links are resolved from the root of dest
+			return getUrl(target, _.get(opts, 'data.root.baseurl') || getBaseurl(path.join(options.dest, 'index.html')));
+		});
+
+
+		// register user helpers
+		for (var helper in userHelpers) {
+			if (userHelpers.hasOwnProperty(helper)) {
+				handlebars.registerHelper(helper, userHelpers[helper]);
+			}
+		}
+
+
+		handlebars.registerHelper('toJSON', function (object) {
+			return new handlebars.SafeString(JSON.stringify(object));
+		});
+
+		/**
+		 * `material`
+		 * @description Like a normal partial include (`{{> partialName }}`),
+		 * but with some additional templating logic to help with nested block iterations.
+		 * The name of the helper is the singular form of whatever is defined as the `options.keys.materials`
+		 * @example
+		 * {{material name context}}
+		 */
+		handlebars.registerHelper('prettyHTML', function (content) {
+
+			return beautifyHtml(content, options.beautifier);
+
+		});
+
+
+
+
+		/**
+		 * Helpers that require local functions like `buildContext()`
+		 */
+
+		/**
+		 * `material`
+		 * @description Like a normal partial include (`{{> partialName }}`),
+		 * but with some additional templating logic to help with nested block iterations.
+		 * The name of the helper is the singular form of whatever is defined as the `options.keys.materials`
+		 * In block form, the block is passed to the material as `slots.default`, and each
+		 * `{{#slot name}}` in it as `slots.name`.
+		 * @example
+		 * {{material name context}}
+		 * {{#material name}}Content{{#slot 'footer'}}Footer{{/slot}}{{/material}}
+		 */
+		handlebars.registerHelper(inflect.singularize(options.keys.materials), function (name, context, opts) {
+
+			// context is optional
+			if (arguments.length < 3) {
+				opts = context;
+				context = null;
+			}
+
+			var hash = opts.hash;
+
+			if (opts.fn) {
+				hash = _.assign({ slots: renderSlots(this, opts) }, hash);
+			}
+
+			return renderMaterial(name, context, hash, opts.data);
+
+		});
+
+
+		/**
+		 * `slot`
+		 * @description Named slot content for a block material; renders nothing in place
+		 * @example
+		 * {{#material 'card'}}{{#slot 'footer'}}Footer{{/slot}}{{/material}}
+		 */
+		handlebars.registerHelper('slot', function (name, opts) {
+
+			if (!opts.data || !opts.data.slots) {
+				throw new Error('The slot "' + name + '" must be inside a block ' + inflect.singularize(options.keys.materials));
+			}
+
+			opts.data.slots[name] = opts.fn(this);
+
+			return '';
+
+		});
+
+	};
+
+
+	/**
+	 * Setup the assembly: register helpers and partials, parse all sources
+	 * @param  {Object} timings Timings storage, keyed by phase name
+	 * @return {Object} The assembler
+	 */
+	var setup = function (timings) {
+
+		// with locales, each locale is set up by its own assembler
+		if (!locale && !_.isEmpty(options.locales)) {
+			return setupLocales(timings || {});
+		}
+
+		// start from a clean slate on every run
+		collectionTypes = getCollectionTypes();
+		assembly = createAssembly();
+		handlebars = Handlebars.create();
+		md = createMarkdown(options.markdown);
+		graph = createDependencyGraph();
+		materialIdCounts = {};
+		collisions = [];
+		dataCollisions = [];
+		defaultsCache = {};
+		materialNotes = {};
+		missingTranslations = [];
+
+		timings = timings || {};
+
+		// setup steps
+		if (locale) {
+			runPhase('parseMessages', parseMessages, timings);
+		}
+		runPhase('registerHelpers', registerHelpers, timings);
+		runPhase('parseLayouts', parseLayouts, timings);
+		runPhase('parseLayoutIncludes', parseLayoutIncludes, timings);
+		runPhase('parseData', parseData, timings);
+		runParseHook('afterData', timings);
+		runParsePhase('materialPartials', timings);
+		runParsePhase('materials', timings);
+		runParseHook('afterMaterials', timings);
+		runParsePhase('materialBlocks', timings);
+		runParsePhase('views', timings);
+		runParseHook('afterViews', timings);
+		getCustomTypes().forEach(function (type) {
+			runParsePhase(type, timings);
+		});
+		runPhase('parseDocs', parseDocs, timings);
+		runParseHook('afterDocs', timings);
+		runPhase('linkDependencies', linkDependencies, timings);
+		runPhase('checkProps', checkProps, timings);
+
+		isSetup = true;
+
+		return assembler;
+
+	};
+
+
+	/**
+	 * Get every page to assemble: views, material blocks, the pages of custom collection types,
+	 * previews and docs
+	 * @return {Array} Pages; each has `src`, `type` and, for collection pages, `collection`
+	 */
+	var getPages = function () {
+
+		var collectionPages = _.flatMap(_.keys(_.pickBy(collectionTypes, 'pages')), function (type) {
+			return collectionTypes[type].getFiles(collectionTypes[type].src).map(function (file) {
+				return { src: file, type: collectionTypes[type].nodeType, collection: type };
+			});
+		});
+		var previews = (options.previews) ? getMaterialFiles(options.materials) : [];
+		var docs = (options.docPages) ? globby.sync(options.docs, { nodir: true }) : [];
+
+		return collectionPages.concat(previews.map(function (file) {
+			return { src: file, type: 'materialPreview' };
+		})).concat(docs.map(function (file) {
+			return { src: file, type: 'doc' };
+		}));
+
+	};
+
+
+	/**
+	 * Delete the files a page wrote last time but not this time, e.g. the pages of items removed from
+	 * its data, unless another page writes them now
+	 * @param  {Array} previous Files written last time
+	 * @param  {Array} current  Files written this time
+	 */
+	var removeStaleFiles = function (previous, current) {
+
+		var stale = _.difference(_.map(previous, 'dest'), _.map(current, 'dest'));
+
+		if (!stale.length) {
+			return;
+		}
+
+		_.difference(stale, _.map(_.flatten(_.values(pages)), 'dest')).forEach(function (dest) {
+			if (fs.existsSync(dest)) {
+				fs.unlinkSync(dest);
+			}
+			removedFiles.push(dest);
+		});
+
+	};
+
+
+	/**
+	 * Forget a page whose source is gone, and delete the files it wrote
+	 * @param  {String} src Normalized source path
+	 */
+	var removePage = function (src) {
+		var previous = pages[src];
+		delete pages[src];
+		removeStaleFiles(previous, []);
+	};
+
+
+	/**
+	 * Assemble views using materials, data, and docs
+	 * @param  {Array} [pageList] Pages to assemble; defaults to all pages
+	 * @return {Array} Written files; each has `src`, `dest`, `layout` and `type`
+	 */
+	var assemble = function (pageList) {
+
+		var written = [];
+		var list = pageList || getPages();
+
+		// create output directory if it doesn't already exist
+		mkdirp.sync(options.dest);
+
+		// assembling everything also drops the pages of sources that are gone
+		if (!pageList) {
+			_.difference(_.keys(pages), list.map(function (page) {
+				return normalizePath(page.src);
+			})).forEach(removePage);
+		}
+
+		// iterate over each view
+		list.forEach(function (page) {
+
+			var src = normalizePath(page.src);
+			var previous = pages[src];
+
+			try {
+				pages[src] = (page.type === 'materialPreview') ? assemblePreview(page.src) :
+					(page.type === 'doc') ? assembleDoc(page.src) :
+					assembleFile(page.src, page.collection);
+				written = written.concat(pages[src]);
+				removeStaleFiles(previous, pages[src]);
+			} catch (e) {
+				e.file = e.file || page.src;
+				throw e;
+			}
+
+		});
+
+		return written;
+
+	};
+
+
+	/**
+	 * Get the directory a collection page is written to, relative to `dest`
+	 * @param  {String} file
+	 * @param  {Object} settings Collection type settings
+	 * @example
+	 * views: 'src/views/pages/home.html' -> 'pages'
+	 * @return {String} Empty for the root of `dest`
+	 */
+	var getPageDir = function (file, settings) {
+
+		var dirs = getCollectionDirs(file, settings.src, true);
+
+		return _.compact([settings.pages.dest].concat((settings.nested) ? dirs : dirs.slice(-1))).join('/');
+
+	};
+
+
+	/**
+	 * Get the layout of a collection page
+	 * @param  {Object} fileMatter Result of `readMatter()`
+	 * @param  {Object} settings   Collection type settings
+	 * @return {String}
+	 */
+	var getPageLayout = function (fileMatter, settings) {
+
+		// block-style pages always use their type's layout
+		if (settings.pages.markup) {
+			return settings.pages.layout;
+		}
+
+		return fileMatter.data.layout || settings.pages.layout;
+
+	};
+
+
+	/**
+	 * Get where a collection page is written
+	 * @param  {String} file
+	 * @param  {Object} data     The page's front matter
+	 * @param  {Object} settings Collection type settings
+	 * @return {String}
+	 */
+	var getPagePath = function (file, data, settings) {
+
+		// a dest front-matter variable replaces the path in dest
+		var filePath = (data.dest) ? path.normalize(data.dest) : path.normalize(path.join(options.dest, getPageDir(file, settings), path.basename(file)));
+
+		// change extension to .html
+		return filePath.replace(/\.[0-9a-z]+$/, '.html');
+
+	};
+
+
+	/**
+	 * Get the `baseurl` of a page: `publicPath`, or the way from the page back to `dest`
+	 * @param  {String} filePath Where the page is written
+	 * @example
+	 * 'dist/pages/team/jane.html' -> '../..'
+	 * 'dist/index.html' -> '.'
+	 * @return {String}
+	 */
+	var getBaseurl = function (filePath) {
+
+		if (options.publicPath) {
+			return options.publicPath.replace(/\/+$/, '');
+		}
+
+		return path.relative(path.dirname(filePath), options.dest).split(path.sep).join('/') || '.';
+
+	};
+
+
+	/**
+	 * Get a page's front-matter data as seen by its template
+	 * @param  {String} file
+	 * @param  {Object} pageMatter Result of `getMatter()`
+	 * @param  {Object} settings   Collection type settings
+	 * @return {Object}
+	 */
+	var getPageData = function (file, pageMatter, settings) {
+
+		return _.assign({}, pageMatter.data, {
+			baseurl: getBaseurl(getPagePath(file, pageMatter.data, settings))
+		});
+
+	};
+
+
+	/**
+	 * Split the data list named by a page's `paginate` front matter into pages: one per item,
+	 * or `size` items each
+	 * @param  {String} file
+	 * @param  {Object} data     The page's front matter
+	 * @param  {String} filePath Where the page itself would be written
+	 * @return {Array} `dest` and extra context `data` (`baseurl`, `pagination` and the item alias) of each page
+	 */
+	var paginate = function (file, data, filePath) {
+
+		var settings = (_.isString(data.paginate)) ? { data: data.paginate } : data.paginate;
+		var list = _.get(assembly.data, settings.data);
+
+		var fail = function (message) {
+			var error = new Error(message);
+			error.file = file;
+			throw error;
+		};
+
+		if (!_.isArray(list) && !_.isPlainObject(list)) {
+			fail('The data "' + settings.data + '" to paginate is not a list');
+		}
+
+		var items = _.values(list);
+		var perItem = !settings.size;
+
+		// a paginated list always has a first page, even when it's empty
+		var chunks = (perItem) ? items.map(function (item) {
+			return [item];
+		}) : _.chunk(items, settings.size);
+
+		if (!perItem && !chunks.length) {
+			chunks = [[]];
+		}
+
+		var dests = chunks.map(function (chunk, index) {
+
+			var number = index + 1;
+
+			// without a permalink, pages are numbered next to the page itself; a list's first page is the page
+			if (!settings.permalink) {
+				return (perItem || number > 1) ? path.join(path.dirname(filePath), path.basename(filePath, '.html') + '-' + number + '.html') : filePath;
+			}
+
+			return path.normalize(path.join(options.dest, settings.permalink.replace(/\{([^}]+)\}/g, function (match, key) {
+
+				if (key === 'page') {
+					return number;
+				}
+
+				var value = _.get(chunk[0], key);
+
+				if (_.isUndefined(value) || _.isNull(value)) {
+					fail('The permalink "' + settings.permalink + '" needs "' + key + '", which item ' + number + ' doesn\'t have');
+				}
+
+				return slugify(value);
+
+			})));
+
+		});
+
+		var duplicate = _.find(dests, function (dest, index) {
+			return dests.indexOf(dest) !== index;
+		});
+
+		if (duplicate) {
+			fail('The permalink "' + settings.permalink + '" gives more than one page the path ' + duplicate);
+		}
+
+		var urls = dests.map(function (dest) {
+			return path.relative(options.dest, dest).split(path.sep).join('/');
+		});
+
+		return chunks.map(function (chunk, index) {
+
+			var context = {
+				baseurl: getBaseurl(dests[index]),
+				pagination: {
+					page: index + 1,
+					pages: chunks.length,
+					size: settings.size || 1,
+					total: items.length,
+					items: chunk,
+					urls: urls,
+					first: urls[0],
+					last: urls[urls.length - 1],
+					prev: urls[index - 1] || null,
+					next: urls[index + 1] || null
+				}
+			};
+
+			context[settings.as || ((perItem) ? 'item' : 'items')] = (perItem) ? chunk[0] : chunk;
+
+			return { dest: dests[index], data: context };
+
+		});
+
+	};
+
+
+	/**
+	 * Template a single page of a collection type (e.g. a view or material block) and write it to disk
+	 * @param  {String} file
+	 * @param  {String} type Collection type
+	 * @return {Array} Written files
+	 */
+	var assembleFile = function (file, type) {
+
+		var settings = collectionTypes[type];
+		var written = [];
+
+		// get page gray matter and content
+		var pageMatter = readMatter(file, settings.src),
+			pageContent = pageMatter.content,
+			layout = getPageLayout(pageMatter, settings),
+			filePath = getPagePath(file, pageMatter.data, settings);
+
+		pageMatter.data = getPageData(file, pageMatter, settings);
+
+		// block-style pages (e.g. material blocks) also get their own markup in the layout's context
+		if (settings.pages.markup) {
+
+			var htmlContent = handlebars.compile(pageContent);
+
+			pageMatter.data['name'] = pageMatter.data['name'] ? pageMatter.data['name'] : toTitleCase(getName(file, true));
+			pageMatter.data[settings.pages.markup] = htmlContent();
+
+		}
+
+		var source = wrapInLayout(pageContent, layout),
+			context = buildContext(pageMatter.data),
+			template = handlebars.compile(source);
+
+		// pages generated from data take the place of the page itself
+		if (pageMatter.data.paginate) {
+			return paginate(file, pageMatter.data, filePath).map(function (generated) {
+				var page = { src: file, dest: generated.dest, layout: layout, type: settings.nodeType };
+				return writePage(renderPage(template, buildContext(_.assign({}, pageMatter.data, generated.data)), page), page);
+			});
+		}
+
+		// write file
+		var page = { src: file, dest: filePath, layout: layout, type: settings.nodeType };
+		var html = renderPage(template, context, page);
+		written.push(writePage(html, page));
+
+		// write a copy file if custom dest-copy front-matter variable is defined; it's rendered
+		// again for its own location
+		if (pageMatter.data['dest-copy']) {
+			var copy = { src: file, dest: path.normalize(pageMatter.data['dest-copy']), layout: layout, type: settings.nodeType };
+			var copyContext = buildContext(_.assign({}, pageMatter.data, { baseurl: getBaseurl(copy.dest) }));
+			written.push(writePage(renderPage(template, copyContext, copy), copy));
+		}
+
+		return written;
+
+	};
+
+
+	/**
+	 * Write the standalone preview pages of a material and its variants.
+	 * The preview layout's `{% body %}` receives the material, rendered with its own front-matter data.
+	 * @param  {String} file
+	 * @return {Array} Written files
+	 */
+	var assemblePreview = function (file) {
+
+		if (!_.has(assembly.layouts, options.previewLayout)) {
+			throw new Error('The preview layout "' + options.previewLayout + '" could not be found');
+		}
+
+		var fileMatter = readMatter(file, options.materials),
+			keys = getMaterialKeys(file, options.materials),
+			localData = getLocalData(fileMatter),
+			variants = getVariants(fileMatter),
+			template = handlebars.compile(wrapInLayout('{{{material-markup}}}', options.previewLayout));
+
+		return [null].concat(_.keys(variants)).map(function (variant) {
+
+			var filePath = path.normalize(path.join(options.dest, getPreviewPath(keys.path, variant)));
+
+			var context = buildContext(_.assign({}, localData, variants[variant], {
+				name: toTitleCase(getName(file)),
+				variant: variant,
+				baseurl: getBaseurl(filePath)
+			}));
+
+			context['material-markup'] = renderMaterial(keys.id, null, { variant: variant }, { root: context });
+
+			var page = { src: file, dest: filePath, layout: options.previewLayout, type: 'materialPreview' };
+
+			return writePage(renderPage(template, context, page), page);
+
+		});
+
+	};
+
+
+	/**
+	 * Write the standalone page of a doc. The docs layout's `{% body %}` receives the rendered doc;
+	 * its context has the doc's front matter, `name` and `toc`.
+	 * @param  {String} file
+	 * @return {Array} Written files
+	 */
+	var assembleDoc = function (file) {
+
+		if (!_.has(assembly.layouts, options.docsLayout)) {
+			throw new Error('The docs layout "' + options.docsLayout + '" could not be found');
+		}
+
+		var keys = getDocKeys(file),
+			doc = _.reduce(keys.dirs, function (collections, dir) {
+				return collections[dir].items;
+			}, assembly.docs)[keys.key],
+			filePath = path.normalize(path.join(options.dest, doc.url)),
+			template = handlebars.compile(wrapInLayout('{{{doc-content}}}', options.docsLayout));
+
+		var context = buildContext(_.assign({}, doc.data, {
+			name: doc.name,
+			toc: doc.toc,
+			baseurl: getBaseurl(filePath),
+			'doc-content': doc.content
+		}));
+
+		var page = { src: file, dest: filePath, layout: options.docsLayout, type: 'doc' };
+
+		return [writePage(renderPage(template, context, page), page)];
+
+	};
+
+
+	/**
+	 * Create a serializable description of the assembly
+	 * @return {Object}
+	 */
+	var createManifest = function () {
+
+		var materials = [];
+
+		eachItem(assembly.materials, function (item) {
+			materials.push({
+				id: item.id,
+				name: item.name,
+				collection: item.path,
+				file: item.file,
+				data: item.data,
+				props: item.props,
+				notes: item.notes,
+				sections: item.sections,
+				source: item.source,
+				html: item.html,
+				variants: _.map(item.variants, function (variant) {
+					return _.pick(variant, ['variant', 'name', 'notes', 'data', 'markup', 'preview']);
+				}),
+				preview: item.preview,
+				uses: item.uses,
+				usedBy: item.usedBy
+			});
+		});
+
+		return {
+			version: manifestVersion,
+			generator: { name: pkg.name, version: pkg.version },
+			materials: materials,
+			materialBlocks: assembly.materialBlocks,
+			views: assembly.views,
+			collections: _.pick(assembly, getCustomTypes()),
+			docs: assembly.docs,
+			data: assembly.data
+		};
+
+	};
+
+
+	/**
+	 * Write the manifest
+	 * @return {String} Written file
+	 */
+	var writeManifest = function () {
+
+		var filePath = path.normalize((options.manifest === true) ? path.join(options.dest, 'fabricator-manifest.json') : options.manifest);
+
+		mkdirp.sync(path.dirname(filePath));
+		fs.writeFileSync(filePath, JSON.stringify(createManifest(), null, '\t'));
+
+		return filePath;
+
+	};
+
+
+	/**
+	 * Create a build report
+	 * @param  {Array}  files      Files written by this run
+	 * @param  {Object} timings
+	 * @param  {String} [manifest] Written manifest file
+	 * @return {Object}
+	 */
+	var createReport = function (files, timings, manifest) {
+
+		var allPages = _.flatten(_.values(pages));
+
+		return {
+			files: files,
+			manifest: manifest || null,
+			layouts: _.fromPairs(files.map(function (file) {
+				return [file.dest, file.layout];
+			})),
+			counts: {
+				materials: countItems(assembly.materials),
+				materialBlocks: _.uniqBy(_.filter(allPages, { type: 'materialBlock' }), 'src').length,
+				views: _.uniqBy(_.filter(allPages, { type: 'view' }), 'src').length,
+				docs: countItems(assembly.docs)
+			},
+			collisions: collisions,
+			dataCollisions: dataCollisions,
+			propProblems: propProblems,
+			timings: timings
+		};
+
+	};
+
+
+	/**
+	 * Parse all sources, check them in strict mode, and write every page and the manifest
+	 * @param  {Object} timings
+	 * @return {Object} Written `files` and `manifest`, and `removed` files
+	 */
+	var buildOnce = function (timings) {
+
+		removedFiles = [];
+
+		// setup assembly
+		setup(timings);
+
+		// check every reference before writing anything
+		if (options.strict) {
+			runPhase('validate', validate, timings);
+		}
+
+		// assemble
+		var files = runPhase('assemble', function () {
+			return assemble();
+		}, timings);
+
+		var manifest = (options.manifest) ? runPhase('writeManifest', writeManifest, timings) : null;
+
+		return { files: files, manifest: manifest, removed: removedFiles };
+
+	};
+
+
+	/**
+	 * Create the assembler of every locale, each with its own messages, data and `dest`
+	 * @return {Object} Assemblers keyed by locale code
+	 */
+	var createLocaleAssemblers = function () {
+		return _.mapValues(options.locales, function (settings, code) {
+
+			var dest = path.normalize(settings.dest || path.join(options.dest, code));
+
+			return createAssembler(_.assign({}, options, {
+				dest: dest,
+				data: settings.data || options.data,
+				// a locale's dest is served from under the public path of the toolkit's dest
+				publicPath: settings.publicPath || (options.publicPath && path.posix.join(options.publicPath, path.relative(options.dest, dest).split(path.sep).join('/')))
+			}), {
+				code: code,
+				lang: getLanguageTag(code),
+				dir: settings.dir || getTextDirection(getLanguageTag(code)),
+				dest: dest,
+				patterns: settings.messages
+			});
+
+		});
+	};
+
+
+	/**
+	 * Add the phase timings of a locale to those of all locales
+	 * @param  {Object} timings
+	 * @param  {Object} localeTimings
+	 */
+	var addTimings = function (timings, localeTimings) {
+		_.forEach(localeTimings, function (time, phase) {
+			timings[phase] = (timings[phase] || 0) + time;
+		});
+	};
+
+
+	/**
+	 * Set up the assembler of every locale, in turn, without writing anything
+	 * @param  {Object} timings Phase timings are added up over all locales
+	 * @return {Object} The assembler
+	 */
+	var setupLocales = function (timings) {
+
+		isSetup = false;
+		localeAssemblers = localeAssemblers || createLocaleAssemblers();
+
+		_.forEach(localeAssemblers, function (localeAssembler) {
+			var localeTimings = {};
+			localeAssembler.setup(localeTimings);
+			addTimings(timings, localeTimings);
+		});
+
+		isSetup = true;
+
+		return assembler;
+
+	};
+
+
+	/**
+	 * Run a build or an update in the assembler of every locale, in turn
+	 * @param  {Function} fn      Gets a locale's assembler and timings; returns `files`, `manifest` and maybe `changes`
+	 * @param  {Object}   timings Phase timings are added up over all locales
+	 * @return {Object} Written `files`, the `manifest` of the first locale, `removed` files, `changes` in any locale,
+	 * plus `locales` and `missingTranslations`
+	 */
+	var runLocales = function (fn, timings) {
+
+		var files = [];
+		var removed = [];
+		var changes;
+		var locales = {};
+		var missing = {};
+
+		_.forEach(localeAssemblers, function (localeAssembler, code) {
+
+			var localeTimings = {};
+			var result = fn(localeAssembler, localeTimings);
+			var settings = localeAssembler.getLocale();
+
+			addTimings(timings, localeTimings);
+
+			// a changed path can belong to some locales only, e.g. their data or messages
+			if (result.changes) {
+				changes = _.mergeWith(changes || {}, result.changes, function (files, changed) {
+					return _.union(files, changed);
+				});
+			}
+
+			files = files.concat(result.files);
+			removed = removed.concat(result.removed);
+			locales[code] = {
+				lang: settings.lang,
+				dir: settings.dir,
+				dest: settings.dest,
+				files: result.files.length,
+				manifest: result.manifest
+			};
+			missing[code] = localeAssembler.getMissingTranslations();
+
+		});
+
+		return _.omitBy({
+			files: files,
+			manifest: _.values(locales)[0].manifest,
+			removed: removed,
+			changes: changes,
+			locales: locales,
+			missingTranslations: missing
+		}, _.isUndefined);
+
+	};
+
+
+	/**
+	 * Build every locale in turn. The assembly and dependency graph are then those of the last locale.
+	 * @param  {Object} timings
+	 * @return {Object} See `runLocales()`
+	 */
+	var buildLocales = function (timings) {
+
+		// locale assemblers are kept, so they know the files they wrote last time
+		isSetup = false;
+		localeAssemblers = localeAssemblers || createLocaleAssemblers();
+
+		var result = runLocales(function (localeAssembler, localeTimings) {
+			return localeAssembler.buildOnce(localeTimings);
+		}, timings);
+
+		isSetup = true;
+
+		return result;
+
+	};
+
+
+	/**
+	 * Create the report of a build or an update; with locales, counts and problems are those of the last locale
+	 * @param  {Object} result  Written `files` and `manifest`, plus extra report properties
+	 * @param  {Object} timings
+	 * @return {Object}
+	 */
+	var createResultReport = function (result, timings) {
+
+		var reporter = (localeAssemblers) ? _.last(_.values(localeAssemblers)) : { createReport: createReport };
+
+		return _.assign(reporter.createReport(result.files, timings, result.manifest), _.omit(result, ['files', 'manifest']));
+
+	};
+
+
+	/**
+	 * Parse all sources and write every view and material block
+	 * @return {Object} Promise; resolves to a build report, rejects with a normalized error
+	 */
+	var build = function () {
+
+		return new Promise(function (resolve, reject) {
+
+			var start = Date.now();
+			var timings = {};
+
+			try {
+
+				var result = (!locale && !_.isEmpty(options.locales)) ? buildLocales(timings) : buildOnce(timings);
+
+				timings.total = Date.now() - start;
+
+				resolve(runHooks('afterBuild', createResultReport(result, timings), assembler));
+
+			} catch (e) {
+				reject(handleError(e));
+			}
+
+		});
+
+	};
+
+
+	/**
+	 * Work out which subsystems a changed file belongs to
+	 * @param  {String} file
+	 * @return {Array} Any of `layoutIncludes`, `layouts`, `materials`, `materialBlocks`, `views`, `data`, `docs`,
+	 * `messages` and custom collection types
+	 */
+	var classifyPath = function (file) {
+
+		var types = [];
+
+		// defaults files belong to every source type whose directory they're in
+		if (isDefaultsFile(file)) {
+			return _.keys(_.pickBy(_.assign({
+				materials: [].concat(collectionTypes.materials.src, collectionTypes.materialPartials.src)
+			}, _.mapValues(_.omit(collectionTypes, ['materials', 'materialPartials']), 'src')), function (patterns) {
+				return getMatchingGlobBase(file, patterns) !== undefined;
+			}));
+		}
+
+		// layout includes usually live inside the layouts directory; check them first
+		if (matchesGlob(file, options.layoutIncludes)) {
+			types.push('layoutIncludes');
+		} else if (matchesGlob(file, options.layouts)) {
+			types.push('layouts');
+		}
+
+		if (matchesGlob(file, collectionTypes.materials.src) || matchesGlob(file, collectionTypes.materialPartials.src) || materialNotes[normalizePath(file)]) {
+			types.push('materials');
+		}
+
+		// material blocks, views and custom collection types
+		_.forEach(_.omit(collectionTypes, ['materials', 'materialPartials']), function (settings, type) {
+			if (matchesGlob(file, settings.src)) {
+				types.push(type);
+			}
+		});
+
+		if (matchesGlob(file, options.data)) {
+			types.push('data');
+		}
+
+		if (matchesGlob(file, options.docs)) {
+			types.push('docs');
+		}
+
+		// the default locale's messages fill in for the locale's own
+		if (locale && (matchesGlob(file, locale.patterns) || matchesGlob(file, _.get(options.locales, [getDefaultLocale(), 'messages'])))) {
+			types.push('messages');
+		}
+
+		return types;
+
+	};
+
+
+	/**
+	 * Re-parse the subsystems touched by changed files and re-assemble only the affected pages
+	 * @param  {(String|Array)} changedPaths Added, changed or deleted files
+	 * @param  {Object}         timings
+	 * @return {Object} Written `files` and `manifest`, `removed` files and the `changes` map
+	 */
+	var updateOnce = function (changedPaths, timings) {
+
+		removedFiles = [];
+
+		// group changed paths by subsystem
+		var changes = {};
+
+		[].concat(changedPaths || []).forEach(function (file) {
+			classifyPath(file).forEach(function (type) {
+				changes[type] = (changes[type] || []).concat(normalizePath(file));
+			});
+		});
+
+		// pages that depend on the changed files, before and after re-parsing;
+		// a notes file stands in for its material, a defaults file for everything beneath it
+		var changedFiles = _.uniq(_.flatten(_.values(changes)).map(function (file) {
+			return materialNotes[file] || file;
+		}));
+		var defaultsDirs = changedFiles.filter(isDefaultsFile).map(function (file) {
+			return path.posix.dirname(file);
+		});
+		// templates that list a changed custom collection depend on all of it
+		var listedTypes = getCustomTypes().filter(function (type) {
+			return changes[type];
+		});
+		var getAffected = function () {
+			return _.map(graph.dependentsOf(_.map(_.filter(graph.nodes, function (node) {
+				return _.includes(changedFiles, node.file) || _.some(defaultsDirs, function (dir) {
+					return dir === '.' || node.file.indexOf(dir + '/') === 0;
+				}) || _.some(listedTypes, function (type) {
+					return _.includes(node.paths, collectionTypes[type].key);
+				});
+			}), 'id')), function (id) {
+				return graph.nodes[id].file;
+			});
+		};
+		var affected = getAffected();
+
+		// defaults files may have changed
+		defaultsCache = {};
+
+		// re-parse only what changed
+		if (changes.messages) {
+			missingTranslations = [];
+			runPhase('parseMessages', parseMessages, timings);
+		}
+
+		if (changes.layouts) {
+			runPhase('parseLayouts', parseLayouts, timings);
+		}
+
+		if (changes.layoutIncludes) {
+			runPhase('parseLayoutIncludes', parseLayoutIncludes, timings);
+		}
+
+		if (changes.data) {
+			runPhase('parseData', parseData, timings);
+			runParseHook('afterData', timings);
+		}
+
+		// the rendered html of materials takes in data, includes and translations
+		if (changes.materials || changes.messages || changes.data || changes.layoutIncludes) {
+			assembly.materialData = {};
+			materialNotes = {};
+			runParsePhase('materialPartials', timings);
+			runParsePhase('materials', timings);
+			runParseHook('afterMaterials', timings);
+		}
+
+		if (changes.materialBlocks) {
+			runParsePhase('materialBlocks', timings);
+		}
+
+		if (changes.views) {
+			runParsePhase('views', timings);
+			runParseHook('afterViews', timings);
+		}
+
+		getCustomTypes().forEach(function (type) {
+			if (changes[type]) {
+				runParsePhase(type, timings);
+			}
+		});
+
+		if (changes.docs) {
+			runPhase('parseDocs', parseDocs, timings);
+			runParseHook('afterDocs', timings);
+		}
+
+		runPhase('linkDependencies', linkDependencies, timings);
+		runPhase('checkProps', checkProps, timings);
+		affected = affected.concat(getAffected());
+
+		if (options.strict) {
+			runPhase('validate', validate, timings);
+		}
+
+		// data, docs and messages can appear on any page
+		var renderAll = !!(changes.data || changes.docs || changes.messages);
+
+		var pageList = getPages().filter(function (page) {
+			// previews and doc pages aren't in the graph; any layout change may be their layout
+			var standalone = page.type === 'materialPreview' || page.type === 'doc';
+			return renderAll || (standalone && changes.layouts) || _.includes(affected, normalizePath(page.src));
+		});
+
+		// forget pages whose source no longer exists
+		_.keys(pages).filter(function (src) {
+			return !fs.existsSync(src);
+		}).forEach(removePage);
+
+		var files = runPhase('assemble', function () {
+			return assemble(pageList);
+		}, timings);
+
+		var manifest = (options.manifest && !_.isEmpty(changes)) ? runPhase('writeManifest', writeManifest, timings) : null;
+
+		return { files: files, manifest: manifest, removed: removedFiles, changes: changes };
+
+	};
+
+
+	/**
+	 * Re-parse the subsystems touched by changed files and re-assemble only the affected pages, in every locale
+	 * @param  {(String|Array)} changedPaths Added, changed or deleted files
+	 * @return {Object} Promise; resolves to a build report with a `changes` map, rejects with a normalized error
+	 */
+	var update = function (changedPaths) {
+
+		// nothing to update yet
+		if (!isSetup) {
+			return build();
+		}
+
+		return new Promise(function (resolve, reject) {
+
+			var start = Date.now();
+			var timings = {};
+
+			try {
+
+				var result = (localeAssemblers) ? runLocales(function (localeAssembler, localeTimings) {
+					return localeAssembler.updateOnce(changedPaths, localeTimings);
+				}, timings) : updateOnce(changedPaths, timings);
+
+				timings.total = Date.now() - start;
+
+				resolve(runHooks('afterBuild', createResultReport(result, timings), assembler));
+
+			} catch (e) {
+				reject(handleError(e));
+			}
+
+		});
+
+	};
+
+
+	/**
+	 * Get the options merged with the defaults. With locales, each locale is built with its own
+	 * `dest`, `data` and `publicPath` in place of these.
+	 * @return {Object}
+	 */
+	var getOptions = function () {
+		return options;
+	};
+
+
+	/**
+	 * Get the dependency graph of views, layouts, layout includes, materials and material blocks;
+	 * with locales, that of the last locale
+	 * @return {Object}
+	 */
+	var getDependencyGraph = function () {
+		return (localeAssemblers) ? _.last(_.values(localeAssemblers)).getDependencyGraph() : graph;
+	};
+
+
+	/**
+	 * Get the parsed assembly data; with locales, that of the last locale
+	 * @return {Object}
+	 */
+	var getAssembly = function () {
+		return (localeAssemblers) ? _.last(_.values(localeAssemblers)).getAssembly() : assembly;
+	};
+
+
+	/**
+	 * Public interface
+	 * @type {Object}
+	 */
+	var assembler = {
+		setup: setup,
+		build: build,
+		update: update,
+		getOptions: getOptions,
+		getAssembly: getAssembly,
+		getDependencyGraph: getDependencyGraph
+	};
+
+	// the assembler of a locale is run by the build and update of its parent
+	if (locale) {
+		return _.assign(assembler, {
+			buildOnce: buildOnce,
+			updateOnce: updateOnce,
+			createReport: createReport,
+			getLocale: function () {
+				return locale;
+			},
+			getMissingTranslations: function () {
+				return missingTranslations;
+			}
+		});
+	}
+
+	return assembler;
+
+};
+
+
+/**
+ * Module exports
+ * @param  {Object} options
+ * @return {Object} Promise
+ */
+module.exports = function (options) {
+	return createAssembler(options).build();
+};
+
+module.exports.createAssembler = createAssembler;
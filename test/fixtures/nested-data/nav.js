@@ -0,0 +1 @@
+module.exports = ['Home', 'About'];
@@ -0,0 +1,3 @@
+module.exports = function () {
+	return { year: 2000 + 16 };
+};
@@ -3,7 +3,10 @@ var assert = require('assert');
 var assemble = require('../');
 var del = require('del');
 var fs = require('fs');
+var Handlebars = require('handlebars');
 var minify = require('html-minifier').minify;
+var mkdirp = require('mkdirp');
+var path = require('path');
 
 describe('fabricator-assemble', function () {
 
@@ -13,6 +16,7 @@ describe('fabricator-assemble', function () {
 		layouts: './test/fixtures/views/layouts/*',
 		layoutIncludes: './test/fixtures/views/layouts/includes/*',
 		materials: './test/fixtures/materials/**/*',
+		materialPartials: './test/fixtures/materials/**/*',
 		views: ['./test/fixtures/views/**/*', '!./test/fixtures/views/+(layouts)/**'],
 		data: ['./test/fixtures/data/**/*.{yml,json}'],
 		docs: './test/fixtures/docs/**/*',
@@ -29,83 +33,1675 @@ describe('fabricator-assemble', function () {
 	});
 
 
-	it('should assemble a template', function (done) {
+	it('should assemble a template', function () {
 
-		assemble(options);
+		return assemble(options).then(function () {
 
-		var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/index.html', 'utf-8'), { collapseWhitespace: true });
+			var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/index.html', 'utf-8'), { collapseWhitespace: true });
 
-		assert.equal(output, expected);
-		done();
+			assert.equal(output, expected);
+
+		});
 
 	});
 
 
-	it('should assemble docs', function (done) {
+	it('should assemble docs', function () {
+
+		return assemble(options).then(function () {
 
-		assemble(options);
+			var output = minify(fs.readFileSync('./test/output/docs.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/docs.html', 'utf-8'), { collapseWhitespace: true });
 
-		var output = minify(fs.readFileSync('./test/output/docs.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/docs.html', 'utf-8'), { collapseWhitespace: true });
+			assert.equal(output, expected);
 
-		assert.equal(output, expected);
-		done();
+		});
 
 	});
 
 
-	it('should assemble user-created views', function (done) {
+	it('should assemble user-created views', function () {
 
-		assemble(options);
+		return assemble(options).then(function () {
 
-		var output = minify(fs.readFileSync('./test/output/pages/home.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/home.html', 'utf-8'), { collapseWhitespace: true });
+			var output = minify(fs.readFileSync('./test/output/pages/home.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/home.html', 'utf-8'), { collapseWhitespace: true });
 
-		assert.equal(output, expected);
-		done();
+			assert.equal(output, expected);
+
+		});
 
 	});
 
 
-	it('should assemble with layout includes', function (done) {
+	it('should assemble with layout includes', function () {
+
+		return assemble(options).then(function () {
 
-		assemble(options);
+			var output = minify(fs.readFileSync('./test/output/includes.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/includes.html', 'utf-8'), { collapseWhitespace: true });
 
-		var output = minify(fs.readFileSync('./test/output/includes.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/includes.html', 'utf-8'), { collapseWhitespace: true });
+			assert.equal(output, expected);
 
-		assert.equal(output, expected);
-		done();
+		});
 
 	});
 
 
-	it('should assemble with helpers', function (done) {
+	it('should assemble with helpers', function () {
 
-		assemble(options);
+		return assemble(options).then(function () {
 
-		var output = minify(fs.readFileSync('./test/output/helpers.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/helpers.html', 'utf-8'), { collapseWhitespace: true });
+			var output = minify(fs.readFileSync('./test/output/helpers.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/helpers.html', 'utf-8'), { collapseWhitespace: true });
 
-		assert.equal(output, expected);
-		done();
+			assert.equal(output, expected);
+
+		});
 
 	});
 
-	it('should use a custom material key', function (done) {
+	it('should use a custom material key', function () {
 
-		assemble(_.assign({}, options, {
+		return assemble(_.assign({}, options, {
 			keys: {
 				materials: 'patterns'
 			}
+		})).then(function () {
+
+			var output = minify(fs.readFileSync('./test/output/material-key.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/material-key.html', 'utf-8'), { collapseWhitespace: true });
+
+			assert.equal(output, expected);
+
+		});
+
+	});
+
+
+	it('should resolve with a build report', function () {
+
+		return assemble(options).then(function (report) {
+
+			var index = _.find(report.files, { dest: 'test/output/index.html' });
+
+			assert.equal(index.layout, 'default');
+			assert.equal(report.layouts['test/output/pages/home.html'], 'default');
+			assert.equal(report.counts.materials, 6);
+			assert.equal(report.counts.views, 6);
+			assert.equal(report.counts.docs, 2);
+			assert.ok(_.isNumber(report.timings.parseMaterials));
+			assert.ok(_.isNumber(report.timings.parseViews));
+			assert.ok(_.isNumber(report.timings.assemble));
+
+		});
+
+	});
+
+
+	it('should reject with a structured error', function () {
+
+		return assemble(_.assign({}, options, {
+			views: './test/fixtures/errors/missing-partial.html',
+			logErrors: false
+		})).then(function () {
+			throw new Error('Expected the build to fail');
+		}, function (error) {
+			assert.ok(error instanceof Error);
+			assert.ok(/does-not-exist/.test(error.message));
+			assert.equal(error.phase, 'assemble');
+			assert.equal(error.file, './test/fixtures/errors/missing-partial.html');
+		});
+
+	});
+
+
+	it('should keep separate assemblers isolated', function () {
+
+		var main = assemble.createAssembler(options);
+		var whiteLabel = assemble.createAssembler(_.assign({}, options, {
+			materials: './test/fixtures/white-label/materials/**/*',
+			materialPartials: './test/fixtures/white-label/materials/**/*',
+			views: './test/fixtures/white-label/views/*',
+			dest: './test/output/white-label'
 		}));
 
-		var output = minify(fs.readFileSync('./test/output/material-key.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/material-key.html', 'utf-8'), { collapseWhitespace: true });
+		return Promise.all([main.build(), whiteLabel.build()]).then(function () {
+
+			var output = minify(fs.readFileSync('./test/output/white-label/index.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/white-label/index.html', 'utf-8'), { collapseWhitespace: true });
+
+			assert.equal(output, expected);
+			assert.ok(main.getAssembly().materials['01-components']);
+			assert.deepEqual(_.keys(whiteLabel.getAssembly().materials), ['components']);
+			assert.deepEqual(_.keys(whiteLabel.getAssembly().materials.components.items), ['button']);
+			assert.equal(Handlebars.partials.button, undefined);
+			assert.equal(whiteLabel.getOptions().dest, './test/output/white-label');
+			assert.equal(whiteLabel.getOptions().layout, 'default');
+
+		});
+
+	});
+
+
+	it('should expose parsed data after setup without writing files', function () {
+
+		var assembler = assemble.createAssembler(options).setup();
+
+		assert.equal(assembler.getAssembly().data.home.greeting, 'Hello');
+		assert.ok(!fs.existsSync('./test/output/index.html'));
+
+	});
+
+
+	it('should expose material dependencies', function () {
+
+		var assembler = assemble.createAssembler(options).setup();
+		var structures = assembler.getAssembly().materials['02-structures'].items;
+		var button = assembler.getAssembly().materialPartials['01-components'].items.button;
+
+		assert.deepEqual(structures['02-form'].uses, ['button']);
+		assert.deepEqual(structures['02-form'].usedBy, ['test/fixtures/views/index.html']);
+		assert.deepEqual(button.usedBy.sort(), ['form', 'test/fixtures/views/index.html']);
+		assert.deepEqual(assembler.getDependencyGraph().nodes['test/fixtures/views/includes.html'].uses, ['menu', 'test/fixtures/views/layouts/default.html']);
+
+	});
+
+
+	it('should track partials referenced by the material helper', function () {
+
+		var assembler = assemble.createAssembler(_.assign({}, options, {
+			views: './test/fixtures/dependencies/*.html'
+		})).setup();
+
+		var node = assembler.getDependencyGraph().nodes['test/fixtures/dependencies/helper.html'];
+
+		assert.deepEqual(node.uses, ['modal-overlay', 'alerts.primary', 'test/fixtures/views/layouts/default.html']);
+		assert.equal(node.dynamic, false);
+
+	});
+
+
+	describe('material nesting', function () {
+
+		var nestingOptions = _.assign({}, options, {
+			materials: './test/fixtures/nesting/materials/**/*',
+			materialPartials: './test/fixtures/nesting/materials/**/*',
+			views: './test/fixtures/nesting/views/*.html'
+		});
+
+
+		it('should build the materials tree to any depth', function () {
+
+			var materials = assemble.createAssembler(nestingOptions).setup().getAssembly().materials;
+			var forms = materials['01-components'].items.forms;
+			var text = forms.items['02-inputs'].items.text;
+
+			assert.deepEqual(_.keys(materials['01-components'].items), ['forms', 'link']);
+			assert.deepEqual(_.keys(forms.items), ['01-labels', '02-inputs']);
+			assert.equal(forms.name, 'Forms');
+			assert.equal(forms.items['02-inputs'].name, 'Inputs');
+			assert.deepEqual(_.keys(text.items), ['forms.02-inputs.text.01-search', 'forms.02-inputs.text.02-field']);
+			assert.equal(text.items['forms.02-inputs.text.02-field'].id, 'forms.inputs.text.field');
+			assert.equal(text.items['forms.02-inputs.text.02-field'].name, 'Field');
+			assert.deepEqual(_.map(text.items['forms.02-inputs.text.02-field'].path, 'name'), ['Components', 'Forms', 'Inputs', 'Text']);
+			assert.deepEqual(_.map(text.items['forms.02-inputs.text.02-field'].path, 'key'), ['01-components', 'forms', '02-inputs', 'text']);
+			assert.equal(materials['01-components'].items.link.id, 'link');
+
+		});
+
+
+		it('should include deeply nested materials', function () {
+
+			return assemble(nestingOptions).then(function () {
+				var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+				assert.ok(output.indexOf('<input type="text" class="field"><input type="text" class="search">') > -1);
+			});
+
+		});
+
+
+		it('should namespace deeply nested materials by their full collection path', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, nestingOptions, {
+				namespaceMaterials: true
+			})).setup();
+
+			assert.ok(_.includes(_.keys(assembler.getDependencyGraph().nodes), 'components/forms/inputs/text/field'));
+			assert.deepEqual(assembler.getDependencyGraph().nodes['test/fixtures/nesting/views/index.html'].uses.sort(), [
+				'components/forms/inputs/text/field',
+				'components/forms/inputs/text/search',
+				'test/fixtures/views/layouts/default.html'
+			]);
+
+		});
+
+	});
+
+
+	describe('material data scoping', function () {
+
+		it('should give materials their own front matter in every expression form', function () {
+
+			return assemble(_.assign({}, options, {
+				materials: './test/fixtures/scoping/materials/**/*',
+				materialPartials: './test/fixtures/scoping/materials/**/*',
+				views: './test/fixtures/scoping/views/*.html',
+				helpers: {
+					upper: function (str) {
+						return String(str).toUpperCase();
+					},
+					join: function (arr) {
+						return arr.join(',');
+					}
+				}
+			})).then(function () {
+
+				var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+				var expected = minify(fs.readFileSync('./test/expected/scoping.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.equal(output, expected);
+
+			});
+
+		});
+
+	});
+
+
+	describe('material variants', function () {
+
+		var variantOptions = _.assign({}, options, {
+			materials: './test/fixtures/variants/materials/**/*',
+			materialPartials: './test/fixtures/variants/materials/**/*',
+			views: './test/fixtures/variants/views/*.html'
+		});
+
+
+		it('should expand variants into items with their own markup and notes', function () {
+
+			var assembler = assemble.createAssembler(variantOptions).setup();
+			var button = assembler.getAssembly().materials.components.items.button;
+
+			assert.deepEqual(_.keys(button.variants), ['primary', 'disabled']);
+			assert.deepEqual(button.data, { label: 'Submit', modifier: 'default' });
+
+			var disabled = button.variants.disabled;
+			assert.equal(disabled.name, 'Disabled');
+			assert.deepEqual(disabled.data, { label: 'Unavailable', disabled: true });
+			assert.equal(disabled.notes.trim(), '<p>Use when the form can\'t be submitted yet.</p>');
+			assert.equal(disabled.markup, '<button class="button button--default" disabled>Unavailable</button>');
+			assert.equal(button.variants.primary.markup, '<button class="button button--primary">Submit</button>');
+
+		});
+
+
+		it('should include variants by name', function () {
+
+			return assemble(variantOptions).then(function () {
+
+				var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+				var expected = minify(fs.readFileSync('./test/expected/variants.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.equal(output, expected);
+
+			});
+
+		});
+
+
+		it('should reject unknown variants', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, variantOptions, {
+				views: './test/fixtures/variants/unknown.html',
+				logErrors: false
+			}));
+
+			return assembler.build().then(function () {
+				throw new Error('expected the build to fail');
+			}, function (e) {
+				assert.equal(e.message, 'The material "button" has no variant "loading"');
+			});
+
+		});
+
+	});
+
+
+	describe('material code samples', function () {
+
+		var codeOptions = _.assign({}, options, {
+			materials: './test/fixtures/variants/materials/**/*',
+			materialPartials: './test/fixtures/variants/materials/**/*',
+			views: './test/fixtures/variants/views/*.html'
+		});
+
+
+		it('should expose raw source and rendered HTML, escaped', function () {
+
+			var button = assemble.createAssembler(codeOptions).setup().getAssembly().materials.components.items.button;
+
+			assert.equal(button.source, '<button class="button button--{{modifier}}"{{#if disabled}} disabled{{/if}}>{{label}}</button>');
+			assert.equal(button.html, '<button class="button button--default">Submit</button>');
+			assert.equal(button.escapedSource, '&lt;button class=&quot;button button--{{modifier}}&quot;{{#if disabled}} disabled{{/if}}&gt;{{label}}&lt;/button&gt;');
+			assert.equal(button.escapedHtml, '&lt;button class=&quot;button button--default&quot;&gt;Submit&lt;/button&gt;');
+
+		});
+
+
+		it('should use the highlight hook', function () {
+
+			var button = assemble.createAssembler(_.assign({}, codeOptions, {
+				highlight: function (code, lang) {
+					return '<span class="' + lang + '">' + code.length + '</span>';
+				}
+			})).setup().getAssembly().materials.components.items.button;
+
+			assert.equal(button.escapedSource, '<span class="handlebars">' + button.source.length + '</span>');
+			assert.equal(button.escapedHtml, '<span class="html">' + button.html.length + '</span>');
+
+		});
+
+	});
+
+
+	describe('material notes', function () {
+
+		var notesOptions = _.assign({}, options, {
+			materials: './test/fixtures/notes/materials/**/*',
+			materialPartials: './test/fixtures/notes/materials/**/*',
+			views: './test/fixtures/notes/views/*.html'
+		});
+
+
+		it('should merge markdown notes files into front-matter notes, by section', function () {
+
+			var assembly = assemble.createAssembler(notesOptions).setup().getAssembly();
+			var button = assembly.materials.components.items.button;
+
+			assert.deepEqual(_.keys(assembly.materials.components.items), ['button']);
+			assert.ok(/^<p>The primary call to action.<\/p>\n<h2>Usage<\/h2>/.test(button.notes));
+			assert.deepEqual(_.map(button.sections, 'name'), ['', 'Usage', 'Accessibility', 'Do & Don\'t']);
+			assert.deepEqual(_.map(button.sections, 'slug'), ['', 'usage', 'accessibility', 'do-dont']);
+			assert.equal(button.sections[1].content, '<p>Use one per view.</p>\n<h3>Sizes</h3>\n<p>Small and large.</p>\n');
+			assert.deepEqual(button.sections, assembly.materialPartials.components.items.button.sections);
+
+		});
+
+
+		it('should use a custom notes file pattern', function () {
+
+			var button = assemble.createAssembler(_.assign({}, notesOptions, {
+				materials: './test/fixtures/notes/materials/**/*.html',
+				materialPartials: './test/fixtures/notes/materials/**/*.html',
+				materialNotes: 'docs/{name}.md'
+			})).setup().getAssembly().materials.components.items.button;
+
+			assert.deepEqual(button.sections, [{ name: '', slug: '', content: '<p>The primary call to action.</p>\n' }]);
+
+		});
+
+
+		it('should re-assemble pages of a material when its notes change', function () {
+
+			var assembler = assemble.createAssembler(notesOptions);
+
+			return assembler.build().then(function () {
+				return assembler.update(['./test/fixtures/notes/materials/components/button.md']);
+			}).then(function (report) {
+				assert.deepEqual(_.map(report.files, 'dest'), ['test/output/index.html']);
+			});
+
+		});
+
+	});
+
+
+	describe('block materials', function () {
+
+		var slotOptions = _.assign({}, options, {
+			materials: './test/fixtures/slots/materials/**/*',
+			materialPartials: './test/fixtures/slots/materials/**/*',
+			views: './test/fixtures/slots/views/*.html'
+		});
+
+
+		it('should pass the block and named slots to the material', function () {
+
+			return assemble(_.assign({}, slotOptions, { strict: true })).then(function () {
+
+				var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.ok(output.indexOf('<div class="card"><h2>Hello</h2><div class="body"><p>Hi Ada</p></div><footer><a href="#">Ada</a></footer></div>') > -1);
+				assert.ok(output.indexOf('<div class="card"><h2>Card</h2><div class="body"><p>No footer</p></div></div>') > -1);
+
+			});
+
+		});
+
+
+		it('should reject slots outside of a block material', function () {
+
+			return assemble(_.assign({}, slotOptions, {
+				views: './test/fixtures/slots/orphan.html',
+				logErrors: false
+			})).then(function () {
+				throw new Error('expected the build to fail');
+			}, function (e) {
+				assert.equal(e.message, 'The slot "footer" must be inside a block material');
+			});
+
+		});
+
+	});
+
+
+	describe('material props', function () {
+
+		var propOptions = _.assign({}, options, {
+			materials: './test/fixtures/props/materials/**/*',
+			materialPartials: './test/fixtures/props/materials/**/*',
+			views: './test/fixtures/props/views/*.html'
+		});
+
+
+		it('should expose the props schema and apply defaults', function () {
+
+			return assemble(_.assign({}, propOptions, { strict: true })).then(function (report) {
+
+				var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.ok(output.indexOf('<span class="badge">New (0)</span>') > -1);
+				assert.ok(output.indexOf('<span class="badge">Inbox (3)</span>') > -1);
+				assert.ok(output.indexOf('<span class="badge">Props (0)</span>') > -1);
+				assert.ok(output.indexOf('<dt>label</dt><dd>string</dd><dt>count</dt><dd>number</dd><dt>tone</dt><dd>string</dd>') > -1);
+				assert.deepEqual(report.propProblems, []);
+
+				var badge = assemble.createAssembler(propOptions).setup().getAssembly().materials.components.items.badge;
+
+				assert.deepEqual(badge.props[1], { name: 'count', type: 'number', required: false, 'default': 0, description: 'Number shown after the label' });
+				assert.deepEqual(badge.props[2], { name: 'tone', type: 'string', required: false, 'default': undefined, description: '' });
+				assert.deepEqual(badge.data, { count: 0 });
+
+			});
+
+		});
+
+
+		it('should report missing and mistyped props at each call site', function () {
+
+			return assemble(_.assign({}, propOptions, {
+				views: './test/fixtures/props/invalid.html'
+			})).then(function (report) {
+
+				assert.deepEqual(report.propProblems, [{
+					type: 'prop',
+					name: 'label',
+					material: 'badge',
+					file: 'test/fixtures/props/invalid.html',
+					line: 4,
+					column: 1,
+					message: 'Missing required prop "label" of material "badge"'
+				}, {
+					type: 'prop',
+					name: 'count',
+					material: 'badge',
+					file: 'test/fixtures/props/invalid.html',
+					line: 5,
+					column: 1,
+					message: 'Prop "count" of material "badge" should be number, not string'
+				}]);
+
+				return assemble(_.assign({}, propOptions, {
+					views: './test/fixtures/props/invalid.html',
+					strict: true,
+					logErrors: false
+				}));
+
+			}).then(function () {
+				throw new Error('expected the build to fail');
+			}, function (e) {
+				assert.equal(e.reason, 'strict');
+				assert.equal(_.filter(e.problems, { type: 'prop' }).length, 2);
+			});
+
+		});
+
+	});
+
+
+	describe('plugins', function () {
+
+		var pluginOptions = _.assign({}, options, {
+			views: './test/fixtures/plugins/views/*.html'
+		});
+
+
+		it('should call every hook and pass on what they return', function () {
+
+			var calls = [];
+
+			var tokens = {
+				name: 'tokens',
+				afterData: function (assembly) {
+					calls.push('afterData');
+					assembly.data.tokens = { color: 'teal' };
+				},
+				afterMaterials: function (assembly) {
+					calls.push('afterMaterials');
+					assembly.tokens = { count: _.size(assembly.materials) };
+				},
+				afterViews: function () {
+					calls.push('afterViews');
+				},
+				afterDocs: function () {
+					calls.push('afterDocs');
+				},
+				beforeRender: function (context, page) {
+					calls.push('beforeRender ' + page.dest);
+					return _.assign({}, context, { stamp: page.type, materialCount: context.materials ? _.size(context.materials) : 0 });
+				},
+				beforeWrite: function (html) {
+					return html.replace('</body>', '<!-- tokens --></body>');
+				},
+				afterBuild: function (report, assembler) {
+					calls.push('afterBuild');
+					assert.equal(assembler.getAssembly().tokens.count, 2);
+					report.tokens = true;
+				}
+			};
+
+			var stamp = {
+				beforeRender: function (context) {
+					context.stamp += '!';
+				}
+			};
+
+			return assemble(_.assign({}, pluginOptions, { plugins: [tokens, stamp] })).then(function (report) {
+
+				var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.ok(output.indexOf('<p class="token">teal</p><p class="stamp">view!</p><p class="count">2</p>') > -1);
+				assert.ok(output.indexOf('<!-- tokens --></body>') > -1);
+				assert.deepEqual(calls, ['afterData', 'afterMaterials', 'afterViews', 'afterDocs', 'beforeRender test/output/index.html', 'afterBuild']);
+				assert.ok(report.tokens);
+				assert.ok(_.isNumber(report.timings.afterData));
+
+			});
+
+		});
+
+
+		it('should name the plugin that failed', function () {
+
+			return assemble(_.assign({}, pluginOptions, {
+				plugins: [{
+					name: 'broken',
+					afterViews: function () {
+						throw new Error('Nope');
+					}
+				}],
+				logErrors: false
+			})).then(function () {
+				throw new Error('expected the build to fail');
+			}, function (e) {
+				assert.equal(e.message, 'Nope');
+				assert.equal(e.plugin, 'broken');
+				assert.equal(e.phase, 'afterViews');
+			});
+
+		});
+
+	});
+
+
+	describe('collection types', function () {
+
+		var collectionOptions = _.assign({}, options, {
+			views: './test/fixtures/collections/views/*.html',
+			collections: {
+				recipes: {
+					src: './test/fixtures/collections/recipes/**/*.html',
+					key: 'dishes',
+					partials: true,
+					pages: { dest: 'recipes' }
+				}
+			}
+		});
+
+
+		it('should parse, register and list a custom collection type', function () {
+
+			return assemble(collectionOptions).then(function (report) {
+
+				var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.ok(output.indexOf('<h2>Soups</h2><h3>Leek soup</h3><h3>Tomato soup</h3><h2>Salads</h2><h3>Greek salad</h3>') > -1);
+				assert.ok(output.indexOf('<p class="time">20 minutes</p>') > -1);
+
+				var recipes = _.filter(report.files, { type: 'recipes' });
+
+				assert.deepEqual(_.map(recipes, 'dest'), [
+					'test/output/recipes/01-soups/01-leek.html',
+					'test/output/recipes/01-soups/02-tomato.html',
+					'test/output/recipes/02-salads/greek.html'
+				]);
+				assert.ok(fs.readFileSync('./test/output/recipes/01-soups/02-tomato.html', 'utf-8').indexOf('<p class="time">30 minutes</p>') > -1);
+				assert.ok(_.isNumber(report.timings.parseRecipes));
+
+			});
+
+		});
+
+
+		it('should give custom items keys, paths and content like materials', function () {
+
+			var recipes = assemble.createAssembler(collectionOptions).setup().getAssembly().recipes;
+			var tomato = recipes['01-soups'].items['02-tomato'];
+
+			assert.deepEqual(_.keys(recipes), ['01-soups', '02-salads']);
+			assert.equal(tomato.id, 'tomato');
+			assert.equal(tomato.name, 'Tomato');
+			assert.equal(tomato.file, 'test/fixtures/collections/recipes/01-soups/02-tomato.html');
+			assert.deepEqual(tomato.data, { title: 'Tomato soup', time: 30 });
+			assert.equal(tomato.content, '<p class="time">{{time}} minutes</p>');
+
+		});
+
+
+		it('should re-parse a custom collection type on update', function () {
+
+			var assembler = assemble.createAssembler(collectionOptions);
+
+			return assembler.build().then(function () {
+				return assembler.update(['./test/fixtures/collections/recipes/01-soups/02-tomato.html']);
+			}).then(function (report) {
+				assert.deepEqual(report.changes, { recipes: ['test/fixtures/collections/recipes/01-soups/02-tomato.html'] });
+				assert.deepEqual(_.map(report.files, 'dest'), ['test/output/index.html', 'test/output/recipes/01-soups/02-tomato.html']);
+			});
+
+		});
+
+
+		it('should reject reserved type names', function () {
+
+			return assemble(_.assign({}, options, {
+				collections: { data: { src: './test/fixtures/data/*' } },
+				logErrors: false
+			})).then(function () {
+				throw new Error('expected the build to fail');
+			}, function (e) {
+				assert.equal(e.message, 'The collection type "data" is reserved');
+			});
+
+		});
+
+	});
+
+
+	describe('data pages', function () {
+
+		var paginationOptions = _.assign({}, options, {
+			materials: './test/fixtures/props/materials/**/*',
+			materialPartials: './test/fixtures/props/materials/**/*',
+			views: './test/fixtures/pagination/views/**/*.html',
+			data: './test/fixtures/pagination/data/*.yml'
+		});
+
+
+		it('should write a page per item at its permalink', function () {
+
+			return assemble(_.assign({}, paginationOptions, { strict: true })).then(function (report) {
+
+				assert.deepEqual(_.map(_.filter(report.files, { src: './test/fixtures/pagination/views/product.html' }), 'dest'), [
+					'test/output/products/blue-shirt.html',
+					'test/output/products/red-hat.html',
+					'test/output/products/green-scarf.html'
+				]);
+
+				var output = minify(fs.readFileSync('./test/output/products/red-hat.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.ok(output.indexOf('<h1>Red Hat</h1><p class="nav">2/3 products/blue-shirt.html products/green-scarf.html ..</p>') > -1);
+				assert.equal(report.counts.views, 2);
+
+			});
+
+		});
+
+
+		it('should split a list into numbered pages with prev and next', function () {
+
+			return assemble(paginationOptions).then(function (report) {
+
+				assert.deepEqual(_.map(_.filter(report.files, { src: './test/fixtures/pagination/views/shop/catalog.html' }), 'dest'), [
+					'test/output/shop/catalog.html',
+					'test/output/shop/catalog-2.html'
+				]);
+
+				var first = minify(fs.readFileSync('./test/output/shop/catalog.html', 'utf-8'), { collapseWhitespace: true });
+				var second = minify(fs.readFileSync('./test/output/shop/catalog-2.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.ok(first.indexOf('<ul><li>Blue Shirt</li><li>Red Hat</li></ul><p class="nav">1/2 <a href="../shop/catalog-2.html">Next</a></p>') > -1);
+				assert.ok(second.indexOf('<ul><li>Green Scarf</li></ul><p class="nav">2/2 <a href="../shop/catalog.html">Prev</a></p>') > -1);
+
+			});
+
+		});
+
+
+		it('should delete the pages of items removed from the data', function () {
+
+			var data = './test/output/src/products.yml';
+			var assembler = assemble.createAssembler(_.assign({}, paginationOptions, {
+				views: './test/fixtures/pagination/views/product.html',
+				data: data,
+				dest: './test/output/dist'
+			}));
+
+			mkdirp.sync(path.dirname(data));
+			fs.writeFileSync(data, '- { name: Blue Shirt, slug: blue-shirt }\n- { name: Red Hat, slug: red-hat }\n');
+
+			return assembler.build().then(function () {
+				fs.writeFileSync(data, '- { name: Blue Shirt, slug: blue-shirt }\n');
+				return assembler.update([data]);
+			}).then(function (report) {
+				assert.deepEqual(_.map(report.files, 'dest'), ['test/output/dist/products/blue-shirt.html']);
+				assert.deepEqual(report.removed, ['test/output/dist/products/red-hat.html']);
+				assert.ok(!fs.existsSync('./test/output/dist/products/red-hat.html'));
+				fs.writeFileSync(data, '[]');
+				return assembler.build();
+			}).then(function (report) {
+				assert.deepEqual(report.removed, ['test/output/dist/products/blue-shirt.html']);
+			});
+
+		});
+
+
+		it('should name the item a permalink field is missing from', function () {
+
+			return assemble(_.assign({}, paginationOptions, {
+				views: './test/fixtures/pagination/missing-field.html',
+				logErrors: false
+			})).then(function () {
+				throw new Error('expected the build to fail');
+			}, function (e) {
+				assert.equal(e.message, 'The permalink "products/{price}-{missing}.html" needs "missing", which item 1 doesn\'t have');
+				assert.equal(e.file, './test/fixtures/pagination/missing-field.html');
+			});
+
+		});
+
+	});
+
+
+	describe('locales', function () {
+
+		var localeOptions = _.assign({}, options, {
+			views: './test/fixtures/locales/views/*.html',
+			locales: {
+				en: { messages: './test/fixtures/locales/messages/en.yml' },
+				de: { messages: './test/fixtures/locales/messages/de.yml' },
+				ar: { messages: './test/fixtures/locales/messages/ar.yml' }
+			}
+		});
+
+		var read = function (file) {
+			return minify(fs.readFileSync(file, 'utf-8'), { collapseWhitespace: true });
+		};
+
+
+		it('should write every locale to its own directory with its messages', function () {
+
+			return assemble(localeOptions).then(function (report) {
+
+				assert.deepEqual(_.map(report.files, 'dest'), ['test/output/en/index.html', 'test/output/de/index.html', 'test/output/ar/index.html']);
+				assert.deepEqual(_.keys(report.locales), ['en', 'de', 'ar']);
+				assert.equal(report.locales.ar.dir, 'rtl');
+
+				var en = read('./test/output/en/index.html');
+				var de = read('./test/output/de/index.html');
+
+				assert.ok(en.indexOf('<p class="locale">en ltr</p><p class="nav">Home</p><p class="greeting">Hello Ada</p><p class="cart">Your cart is empty / 1 item / 5 items</p>') > -1);
+				assert.ok(de.indexOf('<p class="locale">de ltr</p><p class="nav">Startseite</p><p class="greeting">Hallo Ada</p><p class="cart">0 Artikel / 1 Artikel / 5 Artikel</p>') > -1);
+
+			});
+
+		});
+
+
+		it('should fall back to the default locale and report missing keys', function () {
+
+			return assemble(localeOptions).then(function (report) {
+
+				var ar = read('./test/output/ar/index.html');
+
+				assert.ok(ar.indexOf('<p class="locale">ar rtl</p><p class="nav">\u0627\u0644\u0631\u0626\u064a\u0633\u064a\u0629</p><p class="greeting">Hello Ada</p>') > -1);
+				assert.ok(ar.indexOf('<p class="unknown">footer.legal</p>') > -1);
+				assert.deepEqual(report.missingTranslations, {
+					en: ['footer.legal'],
+					de: ['footer.legal'],
+					ar: ['cart.items', 'footer.legal', 'greeting']
+				});
+
+			});
+
+		});
+
+
+		it('should update every locale incrementally', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, localeOptions, {
+				views: './test/output/src/views/*.html',
+				dest: './test/output/dist',
+				locales: {
+					en: { messages: './test/output/src/en.yml' },
+					de: { messages: './test/output/src/de.yml' }
+				}
+			}));
+
+			mkdirp.sync('./test/output/src/views');
+			fs.writeFileSync('./test/output/src/views/index.html', '<p>{{t \'nav.home\'}}</p>');
+			fs.writeFileSync('./test/output/src/views/other.html', '<p>Other</p>');
+			fs.writeFileSync('./test/output/src/en.yml', 'nav: { home: Home }');
+			fs.writeFileSync('./test/output/src/de.yml', 'nav: { home: Startseite }');
+
+			return assembler.build().then(function () {
+				fs.writeFileSync('./test/output/src/views/other.html', '<p>Changed</p>');
+				return assembler.update(['./test/output/src/views/other.html']);
+			}).then(function (report) {
+				assert.deepEqual(_.map(report.files, 'dest'), ['test/output/dist/en/other.html', 'test/output/dist/de/other.html']);
+				assert.deepEqual(report.changes, { views: ['test/output/src/views/other.html'] });
+				assert.equal(report.timings.parseMessages, undefined);
+
+				fs.writeFileSync('./test/output/src/de.yml', 'nav: { home: Start }');
+				return assembler.update(['./test/output/src/de.yml']);
+			}).then(function (report) {
+				assert.deepEqual(_.map(report.files, 'dest'), ['test/output/dist/de/index.html', 'test/output/dist/de/other.html']);
+				assert.ok(read('./test/output/dist/de/index.html').indexOf('<p>Start</p>') > -1);
+				assert.deepEqual(report.missingTranslations, { en: [], de: [] });
+			});
+
+		});
+
+
+		it('should set up every locale, so update writes them', function () {
+
+			var assembler = assemble.createAssembler(localeOptions).setup();
+
+			assert.equal(assembler.getAssembly().data.home.greeting, 'Hello');
+			assert.ok(!fs.existsSync('./test/output/en/index.html'));
+
+			return assembler.update(['./test/fixtures/locales/views/index.html']).then(function (report) {
+				assert.deepEqual(_.map(report.files, 'dest'), ['test/output/en/index.html', 'test/output/de/index.html', 'test/output/ar/index.html']);
+				assert.deepEqual(_.keys(report.locales), ['en', 'de', 'ar']);
+				assert.ok(read('./test/output/de/index.html').indexOf('<p class="nav">Startseite</p>') > -1);
+			});
+
+		});
+
+
+		it('should pick every plural form of the language', function () {
+
+			return assemble(_.assign({}, localeOptions, {
+				views: './test/fixtures/locales/plurals/index.html',
+				locales: {
+					ru: { messages: './test/fixtures/locales/plurals/ru.yml' }
+				}
+			})).then(function () {
+				assert.ok(read('./test/output/ru/index.html').indexOf('<p class="cart">1 \u0442\u043e\u0432\u0430\u0440 / 3 \u0442\u043e\u0432\u0430\u0440\u0430 / 5 \u0442\u043e\u0432\u0430\u0440\u043e\u0432 / 1.5 \u0442\u043e\u0432\u0430\u0440\u0430 (\u0434\u0440\u043e\u0431\u043d\u043e\u0435)</p>') > -1);
+			});
+
+		});
+
+
+		it('should take locale codes with underscores and unknown languages', function () {
+
+			return assemble(_.assign({}, localeOptions, {
+				locales: {
+					en_US: { messages: './test/fixtures/locales/messages/en.yml' },
+					qq: { messages: './test/fixtures/locales/messages/en.yml' }
+				}
+			})).then(function (report) {
+
+				assert.equal(report.locales.en_US.lang, 'en-US');
+				assert.ok(read('./test/output/en_US/index.html').indexOf('<p class="locale">en-US ltr</p>') > -1);
+				assert.ok(read('./test/output/en_US/index.html').indexOf('<p class="cart">Your cart is empty / 1 item / 5 items</p>') > -1);
+				assert.ok(read('./test/output/qq/index.html').indexOf('<p class="cart">Your cart is empty / 1 items / 5 items</p>') > -1);
+
+			});
+
+		});
+
+	});
+
+
+	describe('urls', function () {
+
+		var urlOptions = _.assign({}, options, {
+			materials: './test/fixtures/urls/materials/*.html',
+			materialPartials: './test/fixtures/urls/materials/*.html',
+			views: './test/fixtures/urls/views/**/*.html'
+		});
+
+		var read = function (file) {
+			return minify(fs.readFileSync(file, 'utf-8'), { collapseWhitespace: true });
+		};
+
+
+		it('should set baseurl from where each page is written', function () {
+
+			return assemble(urlOptions).then(function () {
+
+				assert.ok(read('./test/output/index.html').indexOf('<p class="urls">. ./assets/main.css ./pages/about.html #top https://example.com/</p>') > -1);
+				assert.ok(read('./test/output/pages/about.html').indexOf('<p class="urls">.. ../assets/main.css</p>') > -1);
+				assert.ok(read('./test/output/legacy/about/index.html').indexOf('<p class="urls">../.. ../../assets/main.css</p>') > -1);
+				assert.ok(read('./test/output/archive/2016/moved.html').indexOf('<p class="urls">../.. ../../assets/main.css</p>') > -1);
+
+			});
+
+		});
+
+
+		it('should resolve urls in materials from the page they are on', function () {
+
+			return assemble(urlOptions).then(function () {
+
+				assert.ok(read('./test/output/pages/about.html').indexOf('<nav><a class="nav" href="../index.html">Home</a></nav>') > -1);
+				assert.ok(read('./test/output/legacy/about/index.html').indexOf('<nav><a class="nav" href="../../index.html">Home</a></nav>') > -1);
+
+			});
+
+		});
+
+
+		it('should link from the public path when one is set', function () {
+
+			return assemble(_.assign({}, urlOptions, { publicPath: '/toolkit/' })).then(function () {
+
+				assert.ok(read('./test/output/index.html').indexOf('<p class="urls">/toolkit /toolkit/assets/main.css /toolkit/pages/about.html #top https://example.com/</p>') > -1);
+				assert.ok(read('./test/output/legacy/about/index.html').indexOf('<p class="urls">/toolkit /toolkit/assets/main.css</p>') > -1);
+
+			});
+
+		});
+
+	});
+
+
+	describe('material previews', function () {
+
+		var previewOptions = _.assign({}, options, {
+			layouts: ['./test/fixtures/views/layouts/*', './test/fixtures/previews/layouts/*'],
+			materials: './test/fixtures/variants/materials/**/*',
+			materialPartials: './test/fixtures/variants/materials/**/*',
+			views: './test/fixtures/variants/views/*.html',
+			previews: true
+		});
+
+
+		it('should write a preview page for every material and variant', function () {
+
+			return assemble(previewOptions).then(function (report) {
+
+				var previews = _.filter(report.files, { type: 'materialPreview' });
+
+				assert.deepEqual(_.map(previews, 'dest'), [
+					'test/output/preview/components/button.html',
+					'test/output/preview/components/button--primary.html',
+					'test/output/preview/components/button--disabled.html'
+				]);
+
+				var output = minify(fs.readFileSync('./test/output/preview/components/button--disabled.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.equal(output, '<!doctype html><html lang="en"><head><title>Button (disabled)</title><link rel="stylesheet" href="../../assets/styles/main.css"></head><body><button class="button button--default" disabled="disabled">Unavailable</button></body></html>');
+
+			});
+
+		});
+
+
+		it('should link materials and variants to their previews', function () {
+
+			var button = assemble.createAssembler(previewOptions).setup().getAssembly().materials.components.items.button;
+
+			assert.equal(button.preview, 'preview/components/button.html');
+			assert.equal(button.variants.disabled.preview, 'preview/components/button--disabled.html');
+
+		});
+
+
+		it('should re-assemble the previews of a changed material', function () {
+
+			var assembler = assemble.createAssembler(previewOptions);
+
+			return assembler.build().then(function () {
+				return assembler.update(['./test/fixtures/variants/materials/components/button.html']);
+			}).then(function (report) {
+				assert.equal(_.filter(report.files, { type: 'materialPreview' }).length, 3);
+			});
+
+		});
+
+	});
+
+
+	describe('manifest', function () {
+
+		it('should write a versioned manifest of the assembly', function () {
+
+			return assemble(_.assign({}, options, {
+				materials: './test/fixtures/variants/materials/**/*',
+				materialPartials: './test/fixtures/variants/materials/**/*',
+				views: './test/fixtures/variants/views/*.html',
+				manifest: true
+			})).then(function (report) {
+
+				assert.equal(report.manifest, 'test/output/fabricator-manifest.json');
+
+				var manifest = JSON.parse(fs.readFileSync(report.manifest, 'utf-8'));
+				var button = manifest.materials[0];
+
+				assert.equal(manifest.version, 1);
+				assert.equal(manifest.generator.name, require('../package.json').name);
+				assert.equal(button.id, 'button');
+				assert.deepEqual(button.collection, [{ key: 'components', name: 'Components' }]);
+				assert.equal(button.file, 'test/fixtures/variants/materials/components/button.html');
+				assert.deepEqual(button.data, { label: 'Submit', modifier: 'default' });
+				assert.equal(button.source.trim(), '<button class="button button--{{modifier}}"{{#if disabled}} disabled{{/if}}>{{label}}</button>');
+				assert.equal(button.html, '<button class="button button--default">Submit</button>');
+				assert.deepEqual(_.map(button.variants, 'variant'), ['primary', 'disabled']);
+				assert.deepEqual(_.keys(manifest.data), ['home', 'user']);
+
+			});
+
+		});
+
+
+		it('should write the manifest to a custom path', function () {
+
+			return assemble(_.assign({}, options, {
+				manifest: './test/output/api/manifest.json'
+			})).then(function (report) {
+				assert.equal(report.manifest, 'test/output/api/manifest.json');
+				assert.equal(JSON.parse(fs.readFileSync(report.manifest, 'utf-8')).materials.length, report.counts.materials);
+			});
+
+		});
+
+	});
+
+
+	describe('docs', function () {
+
+		var docsOptions = _.assign({}, options, {
+			layouts: ['./test/fixtures/views/layouts/*', './test/fixtures/nested-docs/layouts/*'],
+			views: './test/fixtures/notes/views/*.html',
+			docs: './test/fixtures/nested-docs/docs/**/*.md'
+		});
+
+
+		it('should group docs by folder, in number order, with front matter', function () {
+
+			var docs = assemble.createAssembler(docsOptions).setup().getAssembly().docs;
+			var setup = docs['02-guides'].items['01-setup'];
+
+			assert.deepEqual(_.keys(docs), ['02-guides', 'intro']);
+			assert.deepEqual(_.keys(docs['02-guides'].items), ['01-setup', '02-theming']);
+			assert.equal(docs['02-guides'].name, 'Guides');
+			assert.equal(docs.intro.name, 'Intro');
+			assert.equal(setup.id, 'guides/setup');
+			assert.equal(setup.name, 'Getting Started');
+			assert.deepEqual(setup.data, { title: 'Getting Started', audience: 'developers' });
+			assert.equal(setup.content.indexOf('audience'), -1);
+
+		});
+
+
+		it('should give every doc a table of contents', function () {
+
+			var setup = assemble.createAssembler(docsOptions).setup().getAssembly().docs['02-guides'].items['01-setup'];
+
+			assert.deepEqual(setup.toc, [
+				{ level: 2, name: 'Install', slug: 'install' },
+				{ level: 2, name: 'Configure', slug: 'configure' },
+				{ level: 3, name: 'Options', slug: 'options' },
+				{ level: 2, name: 'Install', slug: 'install-1' }
+			]);
+			assert.ok(setup.content.indexOf('<h2 id="install-1">Install</h2>') > -1);
+
+		});
+
+
+		it('should write a page for every doc', function () {
+
+			return assemble(_.assign({}, docsOptions, { docPages: true })).then(function (report) {
+
+				assert.deepEqual(_.map(_.filter(report.files, { type: 'doc' }), 'dest').sort(), [
+					'test/output/docs/guides/setup.html',
+					'test/output/docs/guides/theming.html',
+					'test/output/docs/intro.html'
+				]);
+				assert.equal(report.counts.docs, 3);
+
+				var output = minify(fs.readFileSync('./test/output/docs/guides/theming.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.equal(output, '<!doctype html><html><head><title>Theming</title><link rel="stylesheet" href="../../assets/styles/main.css"></head><body><nav><a href="#colors">Colors</a></nav><h2 id="colors">Colors</h2></body></html>');
+
+			});
+
+		});
+
+	});
+
+
+	describe('markdown', function () {
+
+		var markdownOptions = _.assign({}, options, {
+			views: './test/fixtures/markdown/views/*.html',
+			docs: './test/fixtures/markdown/docs/*.md',
+			helpers: {},
+			markdown: {
+				plugins: [
+					[function (md, className) {
+						md.renderer.rules.hr = function () {
+							return '<hr class="' + className + '">\n';
+						};
+					}, 'rule']
+				],
+				highlight: function (code, lang) {
+					return '<pre class="' + lang + '"><code>' + code.trim() + '</code></pre>';
+				}
+			}
+		});
+
+
+		it('should render the markdown helper with plugins', function () {
+
+			return assemble(markdownOptions).then(function () {
+				var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+				assert.ok(output.indexOf('<div><h2>Markdown</h2><hr class="rule"></div>') > -1);
+			});
+
+		});
+
+
+		it('should use the same settings for docs', function () {
+
+			var docs = assemble.createAssembler(markdownOptions).setup().getAssembly().docs;
+
+			assert.equal(docs.code.content, '<pre class="js"><code>var foo;</code></pre>\n');
+
+		});
+
+	});
+
+
+	describe('data', function () {
+
+		it('should nest data by directory and read CSV and JavaScript data', function () {
+
+			var data = assemble.createAssembler(_.assign({}, options, {
+				data: './test/fixtures/nested-data/**/*'
+			})).setup().getAssembly().data;
+
+			assert.equal(data.home.title, 'Home data');
+			assert.equal(data.pages.home.title, 'Home page');
+			assert.deepEqual(data.products, [
+				{ name: 'Shirt', price: '10', note: 'Soft, "organic"' },
+				{ name: 'Hat', price: '5', note: 'Two\nlines' }
+			]);
+			assert.deepEqual(data.nav, ['Home', 'About']);
+			assert.deepEqual(data.site, { year: 2016 });
+
+		});
+
+
+		it('should report data files that define the same key', function () {
+
+			var dataOptions = _.assign({}, options, {
+				data: './test/fixtures/duplicate-data/**/*'
+			});
+
+			return assemble(dataOptions).then(function (report) {
+
+				assert.deepEqual(report.dataCollisions, [
+					{ key: 'home', files: ['test/fixtures/duplicate-data/home.json', 'test/fixtures/duplicate-data/home.yml'] },
+					{ key: 'pages', files: ['test/fixtures/duplicate-data/pages.yml', 'test/fixtures/duplicate-data/pages/about.yml'] }
+				]);
+
+				return assemble(_.assign({}, dataOptions, { strict: true, logErrors: false }));
+
+			}).then(function () {
+				throw new Error('expected the build to fail');
+			}, function (e) {
+				assert.deepEqual(_.map(_.filter(e.problems, { type: 'duplicate' }), 'message'), [
+					'Data "home" is also defined by test/fixtures/duplicate-data/home.json',
+					'Data "pages" is also defined by test/fixtures/duplicate-data/pages.yml'
+				]);
+			});
+
+		});
+
+	});
+
+
+	describe('front-matter defaults', function () {
+
+		var defaultsOptions = _.assign({}, options, {
+			materials: './test/fixtures/defaults/materials/**/*',
+			materialPartials: './test/fixtures/defaults/materials/**/*',
+			views: './test/fixtures/defaults/views/**/*'
+		});
+
+
+		it('should merge directory defaults into front matter, nearest first', function () {
+
+			return assemble(defaultsOptions).then(function (report) {
+
+				assert.deepEqual(_.map(report.files, 'dest').sort(), ['test/output/index.html', 'test/output/pages/about.html']);
+
+				var index = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+				var about = minify(fs.readFileSync('./test/output/pages/about.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.ok(index.indexOf('<title>Site</title>') > -1);
+				assert.ok(index.indexOf('<p>Root blue</p>') > -1);
+				assert.ok(about.indexOf('<title>About</title>') > -1);
+				assert.ok(about.indexOf('<p>Pages blue c</p>') > -1);
+
+			});
+
+		});
+
+
+		it('should merge directory defaults into material front matter', function () {
+
+			var badge = assemble.createAssembler(defaultsOptions).setup().getAssembly().materials.components.items.badge;
+
+			assert.deepEqual(badge.data, { kind: 'component', label: 'New' });
+			assert.equal(badge.html, '<span class="component">New</span>');
+
+		});
+
+
+		it('should re-assemble the pages beneath a changed defaults file', function () {
+
+			var assembler = assemble.createAssembler(defaultsOptions);
+
+			return assembler.build().then(function () {
+				return assembler.update(['./test/fixtures/defaults/views/pages/_defaults.yml']);
+			}).then(function (report) {
+				assert.deepEqual(report.changes, { views: ['test/fixtures/defaults/views/pages/_defaults.yml'] });
+				assert.deepEqual(_.map(report.files, 'dest'), ['test/output/pages/about.html']);
+			});
+
+		});
+
+	});
+
+
+	describe('layout inheritance', function () {
+
+		var layoutOptions = _.assign({}, options, {
+			layouts: './test/fixtures/inheritance/layouts/*',
+			views: './test/fixtures/inheritance/views/*.html'
+		});
+
+
+		it('should fill regions through a chain of layouts', function () {
+
+			return assemble(layoutOptions).then(function () {
+
+				var filled = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+				var empty = minify(fs.readFileSync('./test/output/empty.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.equal(filled, '<html><head><title>Filled</title><link rel="stylesheet" href="sidebar.css"></head><body><header>Default header</header><main><p>Main</p></main><aside><a href="#">Filled</a></aside><footer>Page footer</footer></body></html>');
+				assert.equal(empty, '<html><head><title>Empty</title><link rel="stylesheet" href="sidebar.css"></head><body><header>Default header</header><main><p>Main</p></main><aside>Default sidebar</aside><footer>Default footer</footer></body></html>');
+
+			});
+
+		});
+
+
+		it('should re-assemble pages when a parent layout changes', function () {
+
+			var assembler = assemble.createAssembler(layoutOptions);
+
+			return assembler.build().then(function () {
+				return assembler.update(['./test/fixtures/inheritance/layouts/base.html']);
+			}).then(function (report) {
+				assert.deepEqual(_.map(report.files, 'dest').sort(), ['test/output/empty.html', 'test/output/index.html']);
+			});
+
+		});
+
+
+		it('should report missing parent layouts in strict mode', function () {
+
+			return assemble(_.assign({}, layoutOptions, { strict: true, logErrors: false })).then(function () {
+				throw new Error('expected the build to fail');
+			}, function (e) {
+				var problem = _.find(e.problems, { type: 'layout' });
+				assert.equal(problem.file, 'test/fixtures/inheritance/layouts/broken.html');
+				assert.equal(problem.line, 2);
+				assert.equal(problem.message, 'Missing layout "missing"');
+			});
+
+		});
+
+	});
+
+
+	describe('material collisions', function () {
+
+		var collisionOptions = _.assign({}, options, {
+			materials: './test/fixtures/collisions/materials/**/*',
+			materialPartials: './test/fixtures/collisions/materials/**/*',
+			views: './test/fixtures/collisions/views/*.html'
+		});
+
+
+		it('should report materials that share a name', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, collisionOptions, {
+				views: './test/fixtures/views/pages/*.html'
+			}));
+
+			return assembler.build().then(function (report) {
+				assert.deepEqual(report.collisions, [{
+					id: 'button',
+					files: [
+						'./test/fixtures/collisions/materials/components/button.html',
+						'./test/fixtures/collisions/materials/structures/01-button.html'
+					]
+				}]);
+			});
+
+		});
+
+
+		it('should include materials by collection path when namespaced', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, collisionOptions, {
+				namespaceMaterials: true
+			}));
+
+			return assembler.build().then(function () {
+
+				var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+				var expected = minify(fs.readFileSync('./test/expected/collisions.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.equal(output, expected);
+				assert.equal(assembler.getAssembly().materials.structures.items['01-button'].id, 'structures/button');
+				assert.deepEqual(assembler.getAssembly().materialData['structures-button'], { label: 'Structure' });
+				assert.deepEqual(assembler.getDependencyGraph().nodes['structures/card'].uses, ['components/button']);
+
+			});
+
+		});
+
+
+		it('should fail strict mode on ambiguous short names', function () {
+
+			return assemble(_.assign({}, collisionOptions, {
+				views: './test/fixtures/collisions/ambiguous.html',
+				namespaceMaterials: true,
+				strict: true,
+				logErrors: false
+			})).then(function () {
+				throw new Error('Expected the build to fail');
+			}, function (error) {
+				assert.equal(error.problems.length, 1);
+				assert.equal(error.problems[0].message, 'Ambiguous partial "button" matches test/fixtures/collisions/materials/components/button.html, test/fixtures/collisions/materials/structures/01-button.html');
+			});
+
+		});
+
+
+		it('should fail strict mode on collisions without namespacing', function () {
+
+			return assemble(_.assign({}, collisionOptions, {
+				views: './test/fixtures/views/pages/*.html',
+				strict: true,
+				logErrors: false
+			})).then(function () {
+				throw new Error('Expected the build to fail');
+			}, function (error) {
+				var collisions = _.filter(error.problems, { type: 'collision' });
+
+				assert.equal(collisions.length, 1);
+				assert.equal(collisions[0].file, 'test/fixtures/collisions/materials/structures/01-button.html');
+			});
+
+		});
+
+	});
+
+
+	describe('strict mode', function () {
+
+		it('should pass when every reference resolves', function () {
+
+			return assemble(_.assign({}, options, {
+				views: ['./test/fixtures/views/**/*', '!./test/fixtures/views/+(layouts)/**', '!./test/fixtures/views/material-key.html'],
+				strict: true
+			})).then(function (report) {
+				assert.ok(_.isNumber(report.timings.validate));
+			});
+
+		});
+
+
+		it('should report every unresolved reference before writing', function () {
+
+			return assemble(_.assign({}, options, {
+				views: ['./test/fixtures/views/index.html', './test/fixtures/strict/problems.html'],
+				strict: true,
+				logErrors: false
+			})).then(function () {
+				throw new Error('Expected the build to fail');
+			}, function (error) {
+
+				assert.equal(error.phase, 'validate');
+				assert.deepEqual(error.problems.map(function (problem) {
+					return [problem.type, problem.name, problem.file, problem.line, problem.column];
+				}), [
+					['layout', 'missing-layout', 'test/fixtures/strict/problems.html', 3, null],
+					['partial', 'does-not-exist', 'test/fixtures/strict/problems.html', 7, 1],
+					['partial', 'nope', 'test/fixtures/strict/problems.html', 8, 1],
+					['data', 'home.farewell', 'test/fixtures/strict/problems.html', 9, 6],
+					['data', 'home.fallback', 'test/fixtures/strict/problems.html', 11, 70],
+					['data', 'home.other', 'test/fixtures/strict/problems.html', 13, 22]
+				]);
+				assert.ok(!fs.existsSync('./test/output/index.html'));
+
+			});
+
+		});
+
+
+		it('should name a missing material outside of strict mode', function () {
+
+			return assemble(_.assign({}, options, {
+				views: './test/fixtures/strict/missing-material.html',
+				logErrors: false
+			})).then(function () {
+				throw new Error('Expected the build to fail');
+			}, function (error) {
+				assert.equal(error.message, 'The material "nope" could not be found');
+			});
+
+		});
+
+	});
+
+
+	describe('update', function () {
+
+		it('should only re-assemble a changed view', function () {
+
+			var assembler = assemble.createAssembler(options);
+
+			return assembler.build().then(function () {
+				return assembler.update(['./test/fixtures/views/pages/home.html']);
+			}).then(function (report) {
+				assert.deepEqual(_.map(report.files, 'dest'), ['test/output/pages/home.html']);
+				assert.deepEqual(report.changes, { views: ['test/fixtures/views/pages/home.html'] });
+				assert.equal(report.counts.views, 6);
+				assert.equal(report.timings.parseMaterials, undefined);
+			});
+
+		});
+
+
+		it('should only re-assemble pages that depend on a changed material', function () {
+
+			var assembler = assemble.createAssembler(options);
+
+			return assembler.build().then(function () {
+				return assembler.update(['./test/fixtures/materials/01-components/button.html']);
+			}).then(function (report) {
+				assert.deepEqual(_.map(report.files, 'dest'), ['test/output/index.html']);
+			});
+
+		});
+
+
+		it('should re-assemble every page when data changes', function () {
+
+			var assembler = assemble.createAssembler(options);
+
+			return assembler.build().then(function () {
+				return assembler.update(['test/fixtures/data/home.yml']);
+			}).then(function (report) {
+				assert.equal(report.files.length, 6);
+				assert.ok(_.isNumber(report.timings.parseData));
+			});
+
+		});
+
+
+		it('should ignore files outside of every source glob', function () {
+
+			var assembler = assemble.createAssembler(options);
+
+			return assembler.build().then(function () {
+				return assembler.update(['./README.md']);
+			}).then(function (report) {
+				assert.deepEqual(report.files, []);
+				assert.deepEqual(report.changes, {});
+			});
+
+		});
+
+
+		it('should re-assemble pages listing materials when an include of a material changes', function () {
+
+			var icon = './test/output/src/includes/icon.html';
+			var assembler = assemble.createAssembler(_.assign({}, options, {
+				layoutIncludes: './test/output/src/includes/*.html',
+				materials: './test/output/src/materials/**/*.html',
+				materialPartials: './test/output/src/materials/**/*.html',
+				views: './test/output/src/views/*.html',
+				dest: './test/output/dist'
+			}));
+
+			mkdirp.sync(path.dirname(icon));
+			mkdirp.sync('./test/output/src/materials/components');
+			mkdirp.sync('./test/output/src/views');
+			fs.writeFileSync(icon, '<i>Old</i>');
+			fs.writeFileSync('./test/output/src/materials/components/badge.html', '<span>{{> icon}}</span>');
+			fs.writeFileSync('./test/output/src/views/toolkit.html', '{{#each materials}}{{#each items}}{{{material @key}}}{{/each}}{{/each}}');
+
+			return assembler.build().then(function () {
+				fs.writeFileSync(icon, '<i>New</i>');
+				return assembler.update([icon]);
+			}).then(function (report) {
+				assert.deepEqual(_.map(report.files, 'dest'), ['test/output/dist/toolkit.html']);
+				assert.ok(/<span><i>New<\/i><\/span>/.test(fs.readFileSync('./test/output/dist/toolkit.html', 'utf-8')));
+				assert.equal(assembler.getAssembly().materials.components.items.badge.html, '<span><i>New</i></span>');
+			});
+
+		});
+
+
+		it('should re-render the html of materials when data changes', function () {
+
+			var data = './test/output/src/data/site.yml';
+			var assembler = assemble.createAssembler(_.assign({}, options, {
+				materials: './test/output/src/materials/**/*.html',
+				materialPartials: './test/output/src/materials/**/*.html',
+				data: './test/output/src/data/*.yml',
+				views: './test/output/src/views/*.html',
+				dest: './test/output/dist'
+			}));
+
+			mkdirp.sync(path.dirname(data));
+			mkdirp.sync('./test/output/src/materials/components');
+			mkdirp.sync('./test/output/src/views');
+			fs.writeFileSync(data, 'name: Old');
+			fs.writeFileSync('./test/output/src/materials/components/greet.html', '<p>{{site.name}} hi</p>');
+			fs.writeFileSync('./test/output/src/views/index.html', '<p>Index</p>');
+
+			return assembler.build().then(function () {
+				fs.writeFileSync(data, 'name: New');
+				return assembler.update([data]);
+			}).then(function () {
+				assert.equal(assembler.getAssembly().materials.components.items.greet.html, '<p>New hi</p>');
+			});
+
+		});
+
+
+		it('should forget a deleted material', function () {
+
+			var material = './test/output/materials/gone.html';
+			var assembler = assemble.createAssembler(_.assign({}, options, {
+				materials: './test/output/materials/*.html',
+				materialPartials: './test/output/materials/*.html',
+				views: './test/output/views/*.html',
+				dest: './test/output/dist',
+				strict: true,
+				logErrors: false
+			}));
+
+			mkdirp.sync(path.dirname(material));
+			mkdirp.sync('./test/output/views');
+			fs.writeFileSync(material, '<p>Gone</p>');
+			fs.writeFileSync('./test/output/views/index.html', '{{> gone}}');
+
+			return assembler.build().then(function () {
+				fs.unlinkSync(material);
+				return assembler.update([material]);
+			}).then(function () {
+				throw new Error('expected the update to fail');
+			}, function (e) {
+				assert.equal(e.problems.length, 1);
+				assert.equal(e.problems[0].name, 'gone');
+			});
+
+		});
+
+
+		it('should pick up changed content', function () {
+
+			var src = './test/output/views/index.html';
+			var assembler = assemble.createAssembler(_.assign({}, options, {
+				views: './test/output/views/*.html',
+				dest: './test/output/dist'
+			}));
+
+			mkdirp.sync(path.dirname(src));
+			fs.writeFileSync(src, '<p>Before</p>');
+
+			return assembler.build().then(function () {
+				fs.writeFileSync(src, '<p>After</p>');
+				return assembler.update(path.resolve(src));
+			}).then(function () {
+				assert.ok(/<p>After<\/p>/.test(fs.readFileSync('./test/output/dist/index.html', 'utf-8')));
+			});
 
-		assert.equal(output, expected);
-		done();
+		});
 
 	});
 